@@ -1,2 +1,13 @@
 export { default as Model } from './src/Model.js'
+export { default as DocumentFormat } from './src/DocumentFormat.js'
 export { default as FieldTypes } from './src/FieldTypes.js'
+export { default as MemoryAdapter } from './src/MemoryAdapter.js'
+export { default as MemoryStorage } from './src/MemoryStorage.js'
+export { default as NamingStrategy } from './src/NamingStrategy.js'
+export { default as OfflineQueue } from './src/OfflineQueue.js'
+export { default as Pagination } from './src/Pagination.js'
+export { default as Query } from './src/Query.js'
+export { default as QuerySerializer } from './src/QuerySerializer.js'
+export { default as RestinfrontError } from './src/RestinfrontError.js'
+export { default as RestinfrontAbortError } from './src/RestinfrontAbortError.js'
+export { default as XhrAdapter } from './src/XhrAdapter.js'
@@ -0,0 +1,190 @@
+import {
+  has,
+  isArray,
+  isNullish,
+  isObject
+} from 'bibliotech'
+
+
+/**
+ * Get the model of an association field
+ * @param {Model} Model
+ * @param {string} fieldname
+ * @returns {Model|null}
+ */
+function getAssociationModel (Model, fieldname) {
+  return Model.schema[fieldname]?.type.model ?? null
+}
+
+/**
+ * Get the name of a field in the bodies (see NamingStrategy)
+ * @param {Model} Model
+ * @param {string} fieldname
+ * @returns {string}
+ */
+function getSerializedName (Model, fieldname) {
+  return Model.schema[fieldname]?.serializedName ?? fieldname
+}
+
+/**
+ * Document formats
+ * A format is an object with:
+ * - `headers`: headers of the requests
+ * - `serialize (data, Model, { method })`: body of a request built from serialized data
+ * - `deserialize (document, Model)`: data of a response body, a plain object, an array
+ *   or an envelope `{ [collectionDataKey], [collectionCountKey] }`
+ */
+export default class DocumentFormat {
+  /**
+   * Plain JSON
+   * @returns {object}
+   */
+  static JSON () {
+    return {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      serialize: (data) => data,
+      deserialize: (document) => document
+    }
+  }
+
+  /**
+   * JSON:API documents (https://jsonapi.org)
+   * Relationships are resolved against `included` into association fields
+   * and `meta.total` is read as the count of collections
+   * @param {object} [options]
+   * @param {function} [options.typeOf] - type of the resources of a model
+   * @param {boolean} [options.clientIds] - send the primary key of created resources
+   * @returns {object}
+   */
+  static JSONAPI ({ typeOf = (Model) => Model.endpoint, clientIds = false } = {}) {
+    /**
+     * Convert a resource object to plain data
+     * @param {object} resource
+     * @param {Model} Model
+     * @param {Map} included - included resources indexed by `type:id`
+     * @param {Array<object>} ancestors - resources being converted, to stop circular relationships
+     * @returns {object}
+     */
+    function deserializeResource (resource, Model, included, ancestors = []) {
+      const data = {
+        ...resource.attributes,
+        [getSerializedName(Model, Model.primaryKeyFieldname)]: resource.id
+      }
+
+      for (const [name, relationship] of Object.entries(resource.relationships ?? {})) {
+        const AssociationModel = getAssociationModel(Model, Model._getFieldname(name))
+
+        if (!AssociationModel || !has(relationship, 'data')) {
+          continue
+        }
+
+        const deserializeIdentifier = (identifier) => {
+          const relatedResource = included.get(`${identifier.type}:${identifier.id}`)
+
+          return relatedResource && !ancestors.includes(relatedResource)
+            ? deserializeResource(relatedResource, AssociationModel, included, [...ancestors, resource])
+            : { [getSerializedName(AssociationModel, AssociationModel.primaryKeyFieldname)]: identifier.id }
+        }
+
+        if (isArray(relationship.data)) {
+          data[name] = relationship.data.map(deserializeIdentifier)
+        } else if (relationship.data) {
+          data[name] = deserializeIdentifier(relationship.data)
+        } else {
+          data[name] = null
+        }
+      }
+
+      return data
+    }
+
+    /**
+     * Convert plain data to a resource object
+     * @param {object} data
+     * @param {Model} Model
+     * @param {string} method
+     * @returns {object}
+     */
+    function serializeResource (data, Model, method) {
+      const resource = {
+        type: typeOf(Model)
+      }
+      const attributes = {}
+      const relationships = {}
+
+      // Data are serialized, their keys are the names of the bodies
+      for (const [name, value] of Object.entries(data)) {
+        const fieldname = Model._getFieldname(name)
+        const AssociationModel = getAssociationModel(Model, fieldname)
+
+        if (fieldname === Model.primaryKeyFieldname) {
+          if (method !== 'POST' || clientIds) {
+            resource.id = String(value)
+          }
+        } else if (AssociationModel) {
+          // Items without primary key can not be referenced
+          const primaryKeyName = getSerializedName(AssociationModel, AssociationModel.primaryKeyFieldname)
+          const serializeIdentifier = (item) => isObject(item) && !isNullish(item[primaryKeyName])
+            ? { type: typeOf(AssociationModel), id: String(item[primaryKeyName]) }
+            : null
+
+          relationships[name] = {
+            data: isArray(value)
+              ? value.map(serializeIdentifier).filter(identifier => identifier !== null)
+              : serializeIdentifier(value)
+          }
+        } else {
+          attributes[name] = value
+        }
+      }
+
+      resource.attributes = attributes
+
+      if (Object.keys(relationships).length) {
+        resource.relationships = relationships
+      }
+
+      return resource
+    }
+
+    return {
+      headers: {
+        'Content-Type': 'application/vnd.api+json',
+        'Accept': 'application/vnd.api+json'
+      },
+      serialize: (data, Model, { method }) => ({
+        data: isArray(data)
+          ? data.map(item => serializeResource(item, Model, method))
+          : serializeResource(data, Model, method)
+      }),
+      deserialize: (document, Model) => {
+        if (!isObject(document) || !has(document, 'data')) {
+          return document
+        }
+
+        const included = new Map(
+          (document.included ?? []).map(resource => [`${resource.type}:${resource.id}`, resource])
+        )
+
+        if (!isArray(document.data)) {
+          return document.data && deserializeResource(document.data, Model, included)
+        }
+
+        const envelope = {
+          // Meta & links are kept for pagination strategies
+          meta: document.meta,
+          links: document.links,
+          [Model.collectionDataKey]: document.data.map(resource => deserializeResource(resource, Model, included))
+        }
+
+        if (has(document.meta ?? {}, 'total')) {
+          envelope[Model.collectionCountKey] = document.meta.total
+        }
+
+        return envelope
+      }
+    }
+  }
+}
@@ -1,3 +1,4 @@
+import Model from './Model.js'
 import RestinfrontError from './RestinfrontError.js'
 import {
   has,
@@ -10,6 +11,7 @@ import {
   isInteger,
   isIp,
   isNull,
+  isNullish,
   isNumber,
   isObject,
   isObjectEmpty,
@@ -19,17 +21,101 @@ import {
   parseDate,
   prependZero,
   typecheck
-} from 'utililib'
+} from 'bibliotech'
 
 
+/**
+ * Check every field of an embedded item, recursively through nested shapes
+ * @param {Model} item
+ * @returns {boolean}
+ */
+function isShapeValid (item) {
+  return Object.entries(item.$validator).every(([fieldname, validator]) => validator.isValid(item[fieldname], item))
+}
+
+/**
+ * Get the date of a bound, which can be computed at validation time (eg: () => new Date())
+ * @param {Date|string|function} bound
+ * @returns {Date}
+ */
+function resolveDate (bound) {
+  const date = isFunction(bound) ? bound() : bound
+
+  return isDate(date) ? date : parseDate(date)
+}
+
+/**
+ * Check the range & sign of a number
+ * @param {number} value
+ * @param {object} constraints
+ * @param {number} [constraints.min]
+ * @param {number} [constraints.max]
+ * @param {boolean} constraints.signed
+ * @returns {boolean|object} true or the failed rule
+ */
+function checkNumberRange (value, { min, max, signed }) {
+  if (!signed && value < 0) {
+    return { rule: 'NEGATIVE' }
+  } else if (!isNullish(min) && value < min) {
+    return { rule: 'TOO_SMALL', min }
+  } else if (!isNullish(max) && value > max) {
+    return { rule: 'TOO_LARGE', max }
+  } else {
+    return true
+  }
+}
+
 const FIELDTYPES_PRESETS = {
   //
   // String
   //
-  STRING: {
-    defaultValue: () => '',
-    isBlank: (value) => value === '',
-    isValid: (value) => isString(value)
+  STRING: (options = {}) => {
+    typecheck({
+      options: {
+        value: options,
+        type: ['object', {
+          min: { type: 'number' },
+          max: { type: 'number' },
+          pattern: { type: 'any' }
+        }]
+      }
+    })
+
+    const { min = 0, max = Infinity, pattern = null } = options
+
+    return {
+      defaultValue: () => '',
+      isBlank: (value) => value === '',
+      isValid: (value) => {
+        if (!isString(value)) {
+          return false
+        } else if (value.length < min) {
+          return { rule: 'TOO_SHORT', min }
+        } else if (value.length > max) {
+          return { rule: 'TOO_LONG', max }
+        // Note: .search ignores the lastIndex of global patterns
+        } else if (pattern && value.search(pattern) === -1) {
+          return { rule: 'PATTERN_MISMATCH', pattern: String(pattern) }
+        } else {
+          return true
+        }
+      }
+    }
+  },
+  ENUM: (values) => {
+    typecheck({
+      values: {
+        value: values,
+        type: 'array',
+        required: true
+      }
+    })
+
+    return {
+      defaultValue: () => null,
+      isBlank: (value) => isNull(value) || value === '',
+      isValid: (value) => values.includes(value) || { rule: 'INVALID_ENUM', values }
+    }
   },
   UUID: {
     defaultValue: () => crypto.randomUUID(),
@@ -67,8 +153,9 @@ const FIELDTYPES_PRESETS = {
   },
   FILE: {
     defaultValue: () => '',
-    isBlank: (value) => value === '',
-    isValid: (value) => isString(value) && isFile(value)
+    isBlank: (value) => value === '' || isNull(value),
+    // A File or Blob is sent as multipart/form-data
+    isValid: (value) => value instanceof Blob || (isString(value) && isFile(value))
   },
   IP: {
     defaultValue: () => '',
@@ -86,31 +173,74 @@ const FIELDTYPES_PRESETS = {
   //
   // Number
   //
-  INTEGER: {
-    defaultValue: () => null,
-    isBlank: (value) => isNull(value),
-    isValid: (value) => isInteger(value) && value >= 0,
-    beforeBuild: (value) => {
-      const parsedValue = Number.parseInt(value)
+  INTEGER: (options = {}) => {
+    typecheck({
+      options: {
+        value: options,
+        type: ['object', {
+          min: { type: 'number' },
+          max: { type: 'number' },
+          signed: { type: 'boolean' }
+        }]
+      }
+    })
 
-      if (isNumber(parsedValue)) {
-        return parsedValue
-      } else {
-        return null
+    // Negative numbers are rejected as a default
+    const { min, max, signed = false } = options
+
+    return {
+      defaultValue: () => null,
+      isBlank: (value) => isNull(value),
+      isValid: (value) => isInteger(value) && checkNumberRange(value, { min, max, signed }),
+      beforeBuild: (value) => {
+        const parsedValue = Number.parseInt(value)
+
+        if (isNumber(parsedValue)) {
+          return parsedValue
+        } else {
+          return null
+        }
       }
     }
   },
-  FLOAT: {
-    defaultValue: () => null,
-    isBlank: (value) => isNull(value),
-    isValid: (value) => isNumber(value) && value >= 0,
-    beforeBuild: (value) => {
-      const parsedValue = Number.parseFloat(value)
+  FLOAT: (options = {}) => {
+    typecheck({
+      options: {
+        value: options,
+        type: ['object', {
+          min: { type: 'number' },
+          max: { type: 'number' },
+          signed: { type: 'boolean' },
+          precision: { type: 'number' }
+        }]
+      }
+    })
 
-      if (isNumber(parsedValue)) {
-        return parsedValue
-      } else {
-        return null
+    // Negative numbers are rejected as a default
+    const { min, max, signed = false, precision } = options
+
+    return {
+      defaultValue: () => null,
+      isBlank: (value) => isNull(value),
+      isValid: (value) => {
+        if (!isNumber(value)) {
+          return false
+        // Maximum number of decimals
+        // Note: rounded rather than read from the string, which can be in exponent notation (eg: 1e-7)
+        } else if (!isNullish(precision) && Math.round(value * 10 ** precision) / 10 ** precision !== value) {
+          return { rule: 'TOO_PRECISE', precision }
+        } else {
+          return checkNumberRange(value, { min, max, signed })
+        }
+      },
+      beforeBuild: (value) => {
+        const parsedValue = Number.parseFloat(value)
+
+        if (isNumber(parsedValue)) {
+          return parsedValue
+        } else {
+          return null
+        }
       }
     }
   },
@@ -144,24 +274,48 @@ const FIELDTYPES_PRESETS = {
       }
     }
   },
-  DATE: {
-    defaultValue: () => null,
-    isBlank: (value) => isNull(value),
-    isValid: (value) => isDate(value),
-    beforeSerialize: (value) => {
-      if (isDate(value)) {
-        return value.toISOString()
-      } else {
-        return null
+  DATE: (options = {}) => {
+    typecheck({
+      options: {
+        value: options,
+        type: ['object', {
+          after: { type: 'any' },
+          before: { type: 'any' }
+        }]
       }
-    },
-    beforeBuild: (value) => {
-      if (isString(value) && value !== '') {
-        return parseDate(value)
-      } else if (isDate(value)) {
-        return value
-      } else {
-        return null
+    })
+
+    const { after, before } = options
+
+    return {
+      defaultValue: () => null,
+      isBlank: (value) => isNull(value),
+      isValid: (value) => {
+        if (!isDate(value)) {
+          return false
+        } else if (!isNullish(after) && value <= resolveDate(after)) {
+          return { rule: 'TOO_EARLY', after: resolveDate(after) }
+        } else if (!isNullish(before) && value >= resolveDate(before)) {
+          return { rule: 'TOO_LATE', before: resolveDate(before) }
+        } else {
+          return true
+        }
+      },
+      beforeSerialize: (value) => {
+        if (isDate(value)) {
+          return value.toISOString()
+        } else {
+          return null
+        }
+      },
+      beforeBuild: (value) => {
+        if (isString(value) && value !== '') {
+          return parseDate(value)
+        } else if (isDate(value)) {
+          return value
+        } else {
+          return null
+        }
       }
     }
   },
@@ -255,7 +409,104 @@ const FIELDTYPES_PRESETS = {
     // Association specific
     model: Model,
     association: 'BelongsTo'
-  })
+  }),
+  //
+  // Embedded
+  //
+  SHAPE: (schema) => {
+    // Sub-document without endpoint nor primary key
+    const Shape = class extends Model {}
+    Shape.init({ schema, embedded: true })
+
+    // Rebuild the fields with the naming of the owner, from the schema as declared
+    const inheritNaming = (naming) => {
+      if (Shape.naming !== naming) {
+        Shape.schema = {}
+        Shape.init({ schema, naming })
+      }
+    }
+
+    return {
+      defaultValue: () => Shape._buildRawItem(),
+      isBlank: (value) => isNull(value),
+      isValid: (value) => value instanceof Shape && !value.isCollection && isShapeValid(value),
+      beforeSerialize: (value, options) => {
+        if (value instanceof Shape) {
+          // Sub-documents are sent entirely
+          return value.beforeSerialize({ ...options, removeInvalid: false, removeUnchanged: false })
+        } else {
+          return null
+        }
+      },
+      beforeBuild: (value, options) => {
+        if (!value) {
+          return null
+        } else if (value instanceof Shape) {
+          return value
+        } else {
+          return new Shape(Shape._buildRawItem(value), options)
+        }
+      },
+      // Validated & tracked like an association
+      association: 'HasOne',
+      shape: Shape,
+      inheritNaming
+    }
+  },
+  LISTOF: (fieldtype) => {
+    // List of sub-documents
+    if (fieldtype.shape) {
+      const Shape = fieldtype.shape
+
+      return {
+        defaultValue: () => ([]),
+        isBlank: (value) => isNull(value) || value.isEmpty,
+        isValid: (value) => value instanceof Shape && value.isCollection && value.every(isShapeValid),
+        beforeSerialize: (value, options) => {
+          if (value instanceof Shape) {
+            return value.beforeSerialize({ ...options, removeInvalid: false, removeUnchanged: false })
+          } else {
+            return null
+          }
+        },
+        beforeBuild: (value, options) => {
+          if (!value) {
+            return null
+          } else if (value instanceof Shape) {
+            return value
+          } else {
+            return new Shape(value.map(item => Shape._buildRawItem(item)), options)
+          }
+        },
+        // Validated & tracked like an association
+        association: 'HasMany',
+        shape: Shape,
+        inheritNaming: fieldtype.inheritNaming
+      }
+    }
+
+    // List of values
+    return {
+      defaultValue: () => ([]),
+      isBlank: (value) => isNull(value) || value.length === 0,
+      isValid: (value) => (
+        isArray(value) &&
+        value.every((item) => {
+          const result = fieldtype.isValid(item)
+
+          // Failures are falsy or `{ rule }`
+          return !fieldtype.isBlank(item) && Boolean(result) && !has(result, 'rule')
+        })
+      ),
+      beforeSerialize: (value, options) => isArray(value)
+        ? value.map(item => fieldtype.beforeSerialize(item, options))
+        : value,
+      beforeBuild: (value, options) => isArray(value)
+        ? value.map(item => fieldtype.beforeBuild(item, options))
+        : value,
+      listOf: fieldtype
+    }
+  }
 }
 
 export default class FieldTypes {
@@ -274,6 +525,7 @@ export default class FieldTypes {
    * @param {function} options.isValid
    * @param {function} [options.beforeSerialize]
    * @param {function} [options.beforeBuild]
+   * @param {string} [options.rule] - error code when `isValid` returns false
    */
   static add (name, options) {
     typecheck({
@@ -286,20 +538,29 @@ export default class FieldTypes {
           isBlank: { type: 'function', required: true },
           isValid: { type: 'function', required: true },
           beforeSerialize: { type: 'function' },
-          beforeBuild: { type: 'function' }
+          beforeBuild: { type: 'function' },
+          rule: { type: 'string' }
         }]
       }
     })
 
+    // Default error code is based on the fieldtype name (eg: INVALID_EMAIL)
+    const rule = `INVALID_${name}`
+    const build = (fieldtype) => ({
+      rule,
+      beforeSerialize: (value) => value,
+      beforeBuild: (value) => value,
+      ...fieldtype
+    })
+
     this[name] = isFunction(options)
-      ? options
-      : { ...options }
+      ? (...args) => build(options(...args))
+      : build(options)
 
-    if (!has(options, 'beforeSerialize')) {
-      this[name].beforeSerialize = (value) => value
-    }
-    if (!has(options, 'beforeBuild')) {
-      this[name].beforeBuild = (value) => value
+    // Factories without required parameter are also usable as is
+    // eg: FieldTypes.STRING & FieldTypes.STRING({ max: 255 })
+    if (isFunction(options) && options.length === 0) {
+      Object.assign(this[name], this[name]())
     }
   }
 
@@ -312,6 +573,7 @@ export default class FieldTypes {
    * @param {function} [options.isValid]
    * @param {function} [options.beforeSerialize]
    * @param {function} [options.beforeBuild]
+   * @param {string} [options.rule]
    */
   static override (name, options) {
     if (!has(this, name)) {
@@ -328,11 +590,20 @@ export default class FieldTypes {
           isBlank: { type: 'function' },
           isValid: { type: 'function' },
           beforeSerialize: { type: 'function' },
-          beforeBuild: { type: 'function' }
+          beforeBuild: { type: 'function' },
+          rule: { type: 'string' }
         }]
       }
     })
 
+    // Overrides of a factory apply to every fieldtype it builds
+    if (isFunction(this[name])) {
+      const factory = this[name]
+
+      this[name] = (...args) => ({ ...factory(...args), ...options })
+      Object.assign(this[name], factory)
+    }
+
     for (const [key, value] of Object.entries(options)) {
       this[name][key] = value
     }
@@ -0,0 +1,415 @@
+import RestinfrontError from './RestinfrontError.js'
+import {
+  has,
+  isArray,
+  isNullish,
+  isObject,
+  joinPaths
+} from 'bibliotech'
+
+
+export default class MemoryAdapter {
+  /**
+   * In-memory transport serving CRUD requests for registered models
+   * @param {object} [options]
+   * @param {number} [options.latency] - delay of every response in milliseconds
+   */
+  constructor ({ latency = 0 } = {}) {
+    this.latency = latency
+    this._routes = new Map()
+    this._errors = []
+  }
+
+  /*****************************************************************
+  * Helpers
+  *****************************************************************/
+
+  /**
+   * Build a JSON response
+   * @param {number} status
+   * @param {any} [data]
+   * @returns {Response}
+   */
+  _respond (status, data = null) {
+    return new Response(
+      data === null ? null : JSON.stringify(data),
+      {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    )
+  }
+
+  /**
+   * Respond with a page of rows, honoring `limit` & `offset` search params
+   * @param {object} route
+   * @param {Array<object>} rows
+   * @param {string} search
+   * @returns {Response}
+   */
+  _respondCollection (route, rows, search) {
+    const searchParams = new URLSearchParams(search)
+    const offset = Number(searchParams.get('offset') ?? 0)
+    const limit = searchParams.has('limit')
+      ? Number(searchParams.get('limit'))
+      : rows.length
+
+    return this._respond(200, {
+      [route.collectionDataKey]: rows.slice(offset, offset + limit),
+      [route.collectionCountKey]: rows.length
+    })
+  }
+
+  /**
+   * Wait for the latency, unless the request is aborted
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  _wait (signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason)
+        return
+      }
+
+      const onAbort = () => {
+        clearTimeout(latencyTimeout)
+        reject(signal.reason)
+      }
+      const latencyTimeout = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort)
+        resolve()
+      }, this.latency)
+
+      signal?.addEventListener('abort', onAbort, { once: true })
+    })
+  }
+
+  /**
+   * Convert a binary to a data url, like a server storing the file
+   * @param {Blob} blob
+   * @returns {Promise<string>}
+   */
+  async _toDataUrl (blob) {
+    let binary = ''
+
+    for (const byte of new Uint8Array(await blob.arrayBuffer())) {
+      binary += String.fromCharCode(byte)
+    }
+
+    return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`
+  }
+
+  /**
+   * Convert a request body to plain data
+   * Multipart keys are nested with brackets or dots (eg: `plans[0][name]`, `plans[0].name`, `plans[][name]`)
+   * @param {string|FormData|null} [body]
+   * @returns {Promise<object>}
+   */
+  async _parseBody (body) {
+    if (!body) {
+      return {}
+    }
+
+    if (!(body instanceof FormData)) {
+      return JSON.parse(body)
+    }
+
+    const data = {}
+
+    for (const [key, value] of body) {
+      const segments = key.replaceAll(']', '').split(/[[.]/)
+      let target = data
+
+      for (const [index, segment] of segments.entries()) {
+        const isLast = index === segments.length - 1
+        // Arrays are created for numeric or empty segments
+        const nextSegment = segments[index + 1]
+        const container = () => nextSegment === '' || /^\d+$/.test(nextSegment) ? [] : {}
+        let property = segment
+
+        // Empty segment: a new item, unless the last one misses the next property
+        if (property === '') {
+          const lastItem = target[target.length - 1]
+
+          property = isObject(lastItem) && !has(lastItem, nextSegment)
+            ? target.length - 1
+            : target.length
+        }
+
+        if (isLast) {
+          const parsedValue = value instanceof Blob ? await this._toDataUrl(value) : value
+
+          if (isArray(target) && segment === '') {
+            target.push(parsedValue)
+          } else {
+            target[property] = parsedValue
+          }
+        } else {
+          target[property] ??= container()
+          target = target[property]
+        }
+      }
+    }
+
+    return data
+  }
+
+  /**
+   * Serve the association of a row (eg: users/1/plans, users/1/plans/2, users/1/sponsor)
+   * Related rows are read from the parent row, as nested objects or primary keys
+   * - GET lists or retrieves the related rows
+   * - POST creates a row of the association model and links it to the parent (HasMany)
+   * - DELETE unlinks a row from the parent, the row itself is kept
+   * @param {object} route - route of the parent
+   * @param {Array<string>} segments - `[primaryKey, fieldname, relatedPrimaryKey?]`
+   * @param {string} method
+   * @param {object} body
+   * @param {string} search
+   * @returns {Response}
+   */
+  _serveAssociation (route, [primaryKey, fieldname, relatedPrimaryKey, ...rest], method, body, search) {
+    const row = route.rows.find(row => String(row[route.primaryKeyFieldname]) === primaryKey)
+    const fieldconf = route.schema[fieldname]
+    const AssociationModel = fieldconf?.type.model
+
+    if (!row || !AssociationModel || rest.length > 0) {
+      return this._respond(404)
+    }
+
+    const relatedRoute = this._routes.get(joinPaths(AssociationModel.baseUrl, AssociationModel.endpoint)) ?? null
+    const primaryKeyName = AssociationModel.schema[AssociationModel.primaryKeyFieldname]?.serializedName ?? AssociationModel.primaryKeyFieldname
+    const key = has(row, fieldconf.serializedName ?? fieldname)
+      ? fieldconf.serializedName ?? fieldname
+      : fieldconf.foreignKey
+    // Related rows are stored nested or referenced by primary key
+    const getPrimaryKey = (value) => String(isObject(value) ? value[primaryKeyName] : value)
+    const resolve = (value) => relatedRoute?.rows.find(relatedRow => String(relatedRow[primaryKeyName]) === getPrimaryKey(value)) ??
+      (isObject(value) ? value : null)
+
+    if (fieldconf.type.association !== 'HasMany') {
+      const relatedRow = isNullish(row[key]) ? null : resolve(row[key])
+
+      if (method !== 'GET' || relatedPrimaryKey !== undefined) {
+        return this._respond(405)
+      }
+
+      return relatedRow === null
+        ? this._respond(404)
+        : this._respond(200, relatedRow)
+    }
+
+    row[key] ??= []
+    const relatedRows = row[key].map(resolve).filter(relatedRow => relatedRow !== null)
+
+    // Collection
+    if (relatedPrimaryKey === undefined) {
+      switch (method) {
+        case 'GET':
+          return this._respondCollection(relatedRoute ?? route, relatedRows, search)
+        case 'POST': {
+          if (!has(body, primaryKeyName)) {
+            body[primaryKeyName] = crypto.randomUUID()
+          }
+
+          relatedRoute?.rows.push(body)
+          // The link has the shape of the other ones
+          row[key].push(relatedRoute && row[key].every(value => !isObject(value)) ? body[primaryKeyName] : body)
+
+          return this._respond(201, body)
+        }
+        default:
+          return this._respond(405)
+      }
+    }
+
+    // Single item
+    const relatedIndex = row[key].findIndex(value => getPrimaryKey(value) === relatedPrimaryKey)
+
+    if (relatedIndex === -1) {
+      return this._respond(404)
+    }
+
+    switch (method) {
+      case 'GET':
+        return this._respond(200, resolve(row[key][relatedIndex]))
+      case 'DELETE':
+        row[key].splice(relatedIndex, 1)
+
+        return this._respond(204)
+      default:
+        return this._respond(405)
+    }
+  }
+
+  /**
+   * Find the registered route matching the url (the longest one wins)
+   * @param {string} pathname
+   * @returns {object|null} `{ route, segments }`
+   */
+  _findRoute (pathname) {
+    let match = null
+
+    for (const [prefix, route] of this._routes) {
+      if (
+        (pathname === prefix || pathname.startsWith(`${prefix}/`)) &&
+        (match === null || prefix.length > match.prefix.length)
+      ) {
+        match = { prefix, route }
+      }
+    }
+
+    if (match === null) {
+      return null
+    }
+
+    return {
+      route: match.route,
+      segments: pathname.slice(match.prefix.length).split('/').filter(segment => segment)
+    }
+  }
+
+  /*****************************************************************
+  * Public
+  *****************************************************************/
+
+  /**
+   * Serve the CRUD requests of a model
+   * @param {typeof import('./Model.js').default} Model
+   * @param {Array<object>} [rows] - initial data
+   * @returns {MemoryAdapter}
+   */
+  register (Model, rows = []) {
+    if (!Model.endpoint) {
+      throw new RestinfrontError(`MemoryAdapter: \`endpoint\` option is required on model \`${Model.name}\``)
+    }
+
+    this._routes.set(joinPaths(Model.baseUrl, Model.endpoint), {
+      // Rows are stored as they are sent, with the names of the bodies
+      primaryKeyFieldname: Model.schema[Model.primaryKeyFieldname]?.serializedName ?? Model.primaryKeyFieldname,
+      schema: Model.schema || {},
+      collectionDataKey: Model.collectionDataKey,
+      collectionCountKey: Model.collectionCountKey,
+      rows: structuredClone(rows)
+    })
+
+    return this
+  }
+
+  /**
+   * Get a copy of the stored rows of a model
+   * @param {typeof import('./Model.js').default} Model
+   * @returns {Array<object>}
+   */
+  rows (Model) {
+    const route = this._routes.get(joinPaths(Model.baseUrl, Model.endpoint))
+
+    if (!route) {
+      throw new RestinfrontError(`MemoryAdapter: model \`${Model.name}\` is not registered`)
+    }
+
+    return structuredClone(route.rows)
+  }
+
+  /**
+   * Respond with an error status to the next matching requests
+   * @param {number} status
+   * @param {object} [options]
+   * @param {string|null} [options.method] - any method if null
+   * @param {number} [options.times]
+   * @param {any} [options.data] - body of the response
+   * @returns {MemoryAdapter}
+   */
+  simulateError (status, { method = null, times = 1, data = null } = {}) {
+    this._errors.push({ status, method, times, data })
+
+    return this
+  }
+
+  /**
+   * Serve a request like the fetch API
+   * @param {string} url
+   * @param {RequestInit} [init]
+   * @returns {Promise<Response>}
+   */
+  async fetch (url, init = {}) {
+    const method = init.method ?? 'GET'
+
+    await this._wait(init.signal)
+
+    // Simulated errors
+    const simulatedError = this._errors.find(error => error.method === null || error.method === method)
+
+    if (simulatedError) {
+      simulatedError.times -= 1
+
+      if (simulatedError.times <= 0) {
+        this._errors.splice(this._errors.indexOf(simulatedError), 1)
+      }
+
+      return this._respond(simulatedError.status, simulatedError.data)
+    }
+
+    const [pathname, search = ''] = url.split('?')
+    const match = this._findRoute(pathname)
+
+    if (match === null) {
+      return this._respond(404)
+    }
+
+    const body = await this._parseBody(init.body)
+
+    // Nested routes of associations (eg: users/1/plans)
+    if (match.segments.length > 1) {
+      return this._serveAssociation(match.route, match.segments, method, body, search)
+    }
+
+    const { route, segments: [primaryKey] } = match
+    // Primary keys can be numbers in the store but are always strings in the url
+    const rowIndex = route.rows.findIndex(row => String(row[route.primaryKeyFieldname]) === primaryKey)
+    const row = route.rows[rowIndex]
+
+    // Collection
+    if (primaryKey === undefined) {
+      switch (method) {
+        case 'GET':
+          return this._respondCollection(route, route.rows, search)
+        case 'POST': {
+          if (!has(body, route.primaryKeyFieldname)) {
+            body[route.primaryKeyFieldname] = crypto.randomUUID()
+          }
+
+          route.rows.push(body)
+
+          return this._respond(201, body)
+        }
+        default:
+          return this._respond(405)
+      }
+    }
+
+    // Single item
+    if (rowIndex === -1) {
+      return this._respond(404)
+    }
+
+    switch (method) {
+      case 'GET':
+        return this._respond(200, row)
+      case 'PUT':
+        route.rows[rowIndex] = body
+
+        return this._respond(200, body)
+      case 'PATCH':
+        route.rows[rowIndex] = { ...row, ...body }
+
+        return this._respond(200, route.rows[rowIndex])
+      case 'DELETE':
+        route.rows.splice(rowIndex, 1)
+
+        return this._respond(204)
+      default:
+        return this._respond(405)
+    }
+  }
+}
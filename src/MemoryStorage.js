@@ -0,0 +1,33 @@
+export default class MemoryStorage {
+  /**
+   * In-memory storage implementing the Storage interface (localStorage) used by OfflineQueue
+   */
+  constructor () {
+    this._items = new Map()
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string|null}
+   */
+  getItem (key) {
+    return this._items.get(key) ?? null
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   * @returns {void}
+   */
+  setItem (key, value) {
+    this._items.set(key, String(value))
+  }
+
+  /**
+   * @param {string} key
+   * @returns {void}
+   */
+  removeItem (key) {
+    this._items.delete(key)
+  }
+}
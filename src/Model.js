@@ -1,7 +1,15 @@
+import DocumentFormat from './DocumentFormat.js'
+import NamingStrategy from './NamingStrategy.js'
+import Pagination from './Pagination.js'
+import Query from './Query.js'
+import QuerySerializer from './QuerySerializer.js'
+import RestinfrontAbortError from './RestinfrontAbortError.js'
 import RestinfrontError from './RestinfrontError.js'
+import XhrAdapter from './XhrAdapter.js'
 import {
   has,
   isArray,
+  isDate,
   isFunction,
   isObject,
   isString,
@@ -13,6 +21,23 @@ import {
 
 
 const COLLECTION_KEY = Symbol.for('collection')
+const PARENTS_KEY = Symbol.for('parents')
+const SNAPSHOT_KEY = Symbol.for('snapshot')
+const OWNER_KEY = Symbol.for('owner')
+// Pending refresh of each authentication, shared by the models using it
+const AUTHENTICATION_REFRESHES = new WeakMap()
+// Data of GET responses indexed by request url, from the least to the most recently used
+const RESPONSE_CACHE = new Map()
+// Shared instances of each model indexed by primary key
+// Note: instances are weakly referenced, the ones no longer used are collected
+const IDENTITY_MAPS = new Map()
+const IDENTITY_CLEANUP = new FinalizationRegistry(({ identityMap, primaryKey, ref }) => {
+  if (identityMap.get(primaryKey) === ref) {
+    identityMap.delete(primaryKey)
+  }
+})
+// Transport of the requests reporting their upload progress
+const XHR_ADAPTER = new XhrAdapter()
 
 export default class Model {
   static baseUrl = ''
@@ -20,10 +45,51 @@ export default class Model {
   static authentication = false
   static schema = false
   static primaryKeyFieldname = null
+  // Getters of the instances indexed by fieldname, neither built nor serialized
+  static computed = {}
+  // Fieldnames indexed by their name in the bodies
+  static fieldnameAliases = {}
+  static naming = NamingStrategy.IDENTITY()
   static collectionDataKey = 'rows'
   static collectionCountKey = 'count'
+  static timeout = 20000
   static onValidationError = () => null
+  static validations = {}
+  static formatErrorMessage = ({ rule, message }) => message ?? rule
   static onFetchError = () => null
+  static onRollback = () => null
+  static middlewares = []
+  static cache = false
+  static identityMap = false
+  static embedded = false
+  static offline = false
+  static pagination = Pagination.OFFSET()
+  static querySerializer = QuerySerializer.FLAT()
+  static format = DocumentFormat.JSON()
+  static adapter = {
+    // Only XMLHttpRequest reports the upload progress
+    fetch: (url, init) => init.onUploadProgress && typeof XMLHttpRequest !== 'undefined'
+      ? XHR_ADAPTER.fetch(url, init)
+      : fetch(url, init)
+  }
+
+  static multipart = {
+    notation: 'brackets',
+    arrayIndexes: true
+  }
+
+  static bulk = {
+    pathname: false,
+    method: 'PUT',
+    concurrency: 4
+  }
+
+  static retry = {
+    attempts: 0,
+    backoff: 300,
+    retryOn: [502, 503, 504, 'network'],
+    methods: ['GET', 'PUT', 'DELETE']
+  }
 
   /*****************************************************************
   * Static helpers
@@ -51,13 +117,17 @@ export default class Model {
     const rawItem = {}
 
     // Build the item with default values
-    const primaryKey = item['primaryKey'] || item[this.primaryKeyFieldname] || this.schema[this.primaryKeyFieldname].defaultValue()
+    // Note: embedded models have no primary key
+    const primaryKey = this.primaryKeyFieldname === null
+      ? null
+      : item['primaryKey'] || item[this.primaryKeyFieldname] || this.schema[this.primaryKeyFieldname].defaultValue()
 
     for (const [fieldname, fieldconf] of Object.entries(this.schema)) {
       if (fieldname === this.primaryKeyFieldname) {
         rawItem[fieldname] = primaryKey
-      } else if (has(item, fieldname)) {
-        rawItem[fieldname] = item[fieldname]
+      } else if (has(item, fieldname) || has(item, fieldconf.serializedName)) {
+        // Sub-documents are built from data named as in the bodies
+        rawItem[fieldname] = this._readField(item, fieldname)
       } else {
         rawItem[fieldname] = fieldconf.defaultValue(primaryKey) // primaryKey argument is necessary for HASONE fieldtype
       }
@@ -66,6 +136,225 @@ export default class Model {
     return rawItem
   }
 
+  /**
+   * Default foreign key of an association (eg: sponsor => sponsorId, plans => planIds, categories => categoryIds)
+   * Plurals other than `ies` and `s` cannot be singularized safely (eg: addresses, boxes): they have no default
+   * @param {string} fieldname
+   * @param {string} association
+   * @returns {string|null}
+   */
+  static _getDefaultForeignKey (fieldname, association) {
+    if (association !== 'HasMany') {
+      return this.naming(`${fieldname}Id`)
+    }
+
+    if (fieldname.endsWith('ies')) {
+      return this.naming(`${fieldname.slice(0, -3)}yIds`)
+    }
+
+    if (/[^s]s$/.test(fieldname) && !/(s|x|z|ch|sh)es$/.test(fieldname)) {
+      return this.naming(`${fieldname.slice(0, -1)}Ids`)
+    }
+
+    return null
+  }
+
+  /**
+   * Check the serialization mode of an association
+   * @param {string} fieldname
+   * @param {string} mode - nested, id, ids or omit
+   * @returns {void}
+   */
+  static _checkSerializeMode (fieldname, mode) {
+    const association = this.schema[fieldname]?.type.association
+
+    if (!association) {
+      throw new RestinfrontError(`serialize: \`${fieldname}\` is not an association of \`${this.name}\``)
+    }
+
+    if (
+      !['nested', 'id', 'ids', 'omit'].includes(mode) ||
+      // Embedded sub-documents have no primary key
+      (this.schema[fieldname].type.shape && !['nested', 'omit'].includes(mode)) ||
+      (mode === 'id' && association === 'HasMany') ||
+      (mode === 'ids' && association !== 'HasMany')
+    ) {
+      throw new RestinfrontError(`serialize: \`${mode}\` mode is not supported by the \`${fieldname}\` association of \`${this.name}\``)
+    }
+
+    if (
+      ['id', 'ids'].includes(mode) &&
+      !this.schema[fieldname].foreignKey
+    ) {
+      throw new RestinfrontError(`serialize: \`foreignKey\` is required by the \`${mode}\` mode of the \`${fieldname}\` association of \`${this.name}\``)
+    }
+  }
+
+  /**
+   * Convert the result of a validation method to an error
+   * A validation method returns a falsy value or an object with a `rule` property on failure
+   * Note: any other truthy value (eg: a non-empty string) means valid
+   * @param {any} result
+   * @param {string} defaultRule - rule used if the method returned a falsy value
+   * @returns {object|null} null if the value is valid
+   */
+  static _parseValidationResult (result, defaultRule) {
+    if (isObject(result) && has(result, 'rule')) {
+      return { ...result }
+    } else if (result) {
+      return null
+    } else {
+      return { rule: defaultRule }
+    }
+  }
+
+  /**
+   * Compute the delay before the next attempt of a request
+   * @param {object} retry
+   * @param {number} attempt - number of the failed attempt
+   * @param {Response|null} response
+   * @returns {number} delay in milliseconds
+   */
+  static _getRetryDelay (retry, attempt, response) {
+    // Retry-After header is either a number of seconds or a date
+    const retryAfter = response?.headers.get('Retry-After')
+
+    if (retryAfter) {
+      const delay = Number.isNaN(Number(retryAfter))
+        ? new Date(retryAfter).getTime() - Date.now()
+        : Number(retryAfter) * 1000
+
+      if (!Number.isNaN(delay)) {
+        return Math.max(delay, 0)
+      }
+    }
+
+    return isFunction(retry.backoff)
+      ? retry.backoff(attempt)
+      : retry.backoff * 2 ** (attempt - 1)
+  }
+
+  /**
+   * Get the token of the authentication strategy
+   * @returns {Promise<string>}
+   */
+  static async _getAuthenticationToken () {
+    const token = await this.authentication.token()
+
+    if (!token) {
+      throw new RestinfrontError(`fetch: \`authentication\` returned an invalid token (${token})`)
+    }
+
+    return token
+  }
+
+  /**
+   * Apply the authentication strategy to the request
+   * @param {object} context
+   * @param {string} context.url
+   * @param {RequestInit} context.init
+   * @returns {Promise<void>}
+   */
+  static async _authenticate (context) {
+    const authentication = this.authentication
+
+    if (!authentication) {
+      return
+    }
+
+    // Requests are queued behind a pending refresh
+    await AUTHENTICATION_REFRESHES.get(authentication)
+
+    switch (authentication.type ?? 'header') {
+      case 'header': {
+        const token = await this._getAuthenticationToken()
+        const scheme = authentication.scheme ?? 'Bearer'
+
+        context.init.headers[authentication.header ?? 'Authorization'] = scheme
+          ? `${scheme} ${token}`
+          : token
+        break
+      }
+      case 'query': {
+        const token = await this._getAuthenticationToken()
+
+        context.url += `${context.url.includes('?') ? '&' : '?'}${encodeURIComponent(authentication.param ?? 'token')}=${encodeURIComponent(token)}`
+        break
+      }
+      case 'cookie':
+        context.init.credentials = 'include'
+        break
+      case 'basic': {
+        const { username, password } = await authentication.credentials()
+        // btoa only supports latin1 characters
+        const encodedCredentials = btoa(String.fromCharCode(...new TextEncoder().encode(`${username}:${password}`)))
+
+        context.init.headers.Authorization = `Basic ${encodedCredentials}`
+        break
+      }
+      default:
+        throw new RestinfrontError(`fetch: \`${authentication.type}\` authentication type is not supported`)
+    }
+  }
+
+  /**
+   * Refresh the authentication, concurrent calls share the same refresh
+   * @returns {Promise<void>}
+   */
+  static _refreshAuthentication () {
+    const authentication = this.authentication
+
+    if (!AUTHENTICATION_REFRESHES.has(authentication)) {
+      AUTHENTICATION_REFRESHES.set(
+        authentication,
+        Promise.resolve(authentication.refresh())
+          .finally(() => AUTHENTICATION_REFRESHES.delete(authentication))
+      )
+    }
+
+    return AUTHENTICATION_REFRESHES.get(authentication)
+  }
+
+  /**
+   * Get the fieldname of a field named as in the bodies (eg: created_at => createdAt)
+   * @param {string} name
+   * @returns {string}
+   */
+  static _getFieldname (name) {
+    return has(this.schema, name)
+      ? name
+      : this.fieldnameAliases[name] ?? name
+  }
+
+  /**
+   * Read a field of raw data, named as in the bodies or as in the instances
+   * @param {object} data
+   * @param {string} fieldname
+   * @returns {any}
+   */
+  static _readField (data, fieldname) {
+    const serializedName = this.schema?.[fieldname]?.serializedName ?? fieldname
+
+    return has(data, serializedName)
+      ? data[serializedName]
+      : data?.[fieldname]
+  }
+
+  /**
+   * Compare two values of a field
+   * Note: binaries can not be stringified, they are compared by reference
+   * @param {any} a
+   * @param {any} b
+   * @returns {boolean}
+   */
+  static _isSameValue (a, b) {
+    return a === b || (
+      !(a instanceof Blob) &&
+      !(b instanceof Blob) &&
+      JSON.stringify(a) === JSON.stringify(b)
+    )
+  }
+
   /**
    * Build a validator function for every declared fields
    * @returns {object}
@@ -75,22 +364,152 @@ export default class Model {
 
     // Build the base validator
     for (const [fieldname, fieldconf] of Object.entries(this.schema)) {
+      // Custom valid methods returning a promise are checked asynchronously,
+      // the result is kept for the checked value
+      const check = {
+        async: false,
+        // { value, error }
+        settled: null,
+        // { value, promise, controller }
+        pending: null
+      }
+
+      /**
+       * Run the asynchronous custom valid method, a newer check cancels the stale one
+       * @param {any} value
+       * @param {Model} data
+       * @param {object} [options]
+       * @param {number} [options.debounce] - delay in milliseconds before the check
+       * @param {AbortController} [options.controller] - controller of a started check
+       * @param {Promise} [options.result] - result of a started check
+       * @returns {Promise<void>}
+       */
+      const startCheck = (value, data, { debounce = 0, controller = new AbortController(), result } = {}) => {
+        check.pending?.controller.abort(new RestinfrontAbortError('validate: the value has changed'))
+
+        const run = async () => {
+          if (result === undefined) {
+            // Wait for the end of the typing, unless the value changes again
+            await new Promise((resolve, reject) => {
+              const debounceTimeout = setTimeout(resolve, debounce)
+
+              controller.signal.addEventListener('abort', () => {
+                clearTimeout(debounceTimeout)
+                reject(controller.signal.reason)
+              }, { once: true })
+            })
+
+            result = fieldconf.isValid(value, data, { signal: controller.signal })
+          }
+
+          return this._parseValidationResult(await result, 'NOT_VALID')
+        }
+
+        const promise = run()
+          // A failed check can not validate the field
+          .catch(() => ({ rule: 'NOT_VALID' }))
+          .then((error) => {
+            // Results of stale checks are ignored
+            if (check.pending?.controller === controller) {
+              check.settled = { value, error }
+              check.pending = null
+              data.$validating[fieldname] = false
+            }
+          })
+
+        check.pending = { value, promise, controller }
+        data.$validating[fieldname] = true
+
+        return promise
+      }
+
+      /**
+       * Get the error of the custom valid method
+       * @param {any} value
+       * @param {Model} data
+       * @returns {object|null}
+       */
+      const getCustomError = (value, data) => {
+        if (check.settled && this._isSameValue(check.settled.value, value)) {
+          return check.settled.error
+        }
+
+        if (!check.pending || !this._isSameValue(check.pending.value, value)) {
+          if (check.async) {
+            startCheck(value, data, { debounce: fieldconf.debounce })
+          } else {
+            const controller = new AbortController()
+            const result = fieldconf.isValid(value, data, { signal: controller.signal })
+
+            if (!isFunction(result?.then)) {
+              return this._parseValidationResult(result, 'NOT_VALID')
+            }
+
+            check.async = true
+            startCheck(value, data, { controller, result })
+          }
+        }
+
+        // The field is not valid until the end of the check
+        return { rule: 'VALIDATING' }
+      }
+
+      // Model-level rules flagging the field
+      const validations = Object.entries(this.validations)
+        .filter(([, validation]) => validation.flags.includes(fieldname))
+
       validator[fieldname] = {
         checked: fieldconf.autoChecked,
-        isValid: (value, data) => {
+        // Model-level rules triggered by the validation of a field they depend on
+        checkedRules: new Set(),
+        getRuleErrors: (value, data, names = null) => {
+          const errors = []
+
+          for (const [name, validation] of validations) {
+            if (names === null || names.has(name)) {
+              const error = this._parseValidationResult(validation.isValid(data), name)
+
+              if (error !== null) {
+                errors.push({
+                  ...error,
+                  message: this.formatErrorMessage({ ...error, fieldname, value })
+                })
+              }
+            }
+          }
+
+          return errors
+        },
+        getErrors: (value, data) => {
           const isBlank = fieldconf.type.isBlank(value)
 
-          return (
-            (
+          const error = (
+            isBlank
               // Blank and allowed
-              (isBlank && fieldconf.allowBlank(value, data)) ||
+              ? this._parseValidationResult(fieldconf.allowBlank(value, data), 'REQUIRED')
               // Not blank and valid
-              (!isBlank && fieldconf.type.isValid(value))
-            ) &&
+              : this._parseValidationResult(fieldconf.type.isValid(value), fieldconf.type.rule ?? 'NOT_VALID')
+          ) ??
             // Custom valid method
-            fieldconf.isValid(value, data)
-          )
-        }
+            getCustomError(value, data)
+
+          const ruleErrors = validator[fieldname].getRuleErrors(value, data)
+
+          if (error === null) {
+            return ruleErrors
+          }
+
+          return [
+            {
+              ...error,
+              message: this.formatErrorMessage({ ...error, fieldname, value })
+            },
+            ...ruleErrors
+          ]
+        },
+        isValid: (value, data) => validator[fieldname].getErrors(value, data).length === 0,
+        // Promise of the asynchronous check in progress
+        pendingCheck: () => check.pending?.promise ?? null
       }
     }
 
@@ -108,10 +527,50 @@ export default class Model {
    * @param {string} [options.endpoint]
    * @param {string} [options.collectionDataKey]
    * @param {string} [options.collectionCountKey]
-   * @param {function|false} [options.authentication]
+   * @param {number} [options.timeout] - request timeout in milliseconds
+   * @param {object} [options.retry]
+   * @param {number} [options.retry.attempts] - number of retries after the first attempt
+   * @param {number|function} [options.retry.backoff] - base delay in milliseconds, doubled on each retry
+   * @param {Array<number|string>} [options.retry.retryOn] - status codes and `network` for network errors
+   * @param {Array<string>} [options.retry.methods] - methods retried by default
+   * @param {Array<object>} [options.middlewares] - appended to the middlewares of the parent model
+   * @param {object} [options.adapter] - transport implementing `fetch(url, init)`, default to the fetch API
+   * @param {object|false} [options.cache] - cache of GET responses
+   * @param {number} [options.cache.ttl] - duration in milliseconds while cached data are used without request
+   * @param {number} [options.cache.staleWhileRevalidate] - duration in milliseconds after ttl while cached data are displayed during the request
+   * @param {number} [options.cache.maxEntries] - number of responses of the model kept, the least recently used are evicted (default: 100)
+   * @param {boolean} [options.identityMap] - share a single instance per record
+   * @param {boolean} [options.embedded] - sub-document without endpoint nor primary key (see FieldTypes.SHAPE)
+   * @param {OfflineQueue|false} [options.offline] - queue of the mutations made without network
+   * @param {object} [options.pagination] - pagination strategy of collections (see Pagination)
+   * @param {function} [options.querySerializer] - conversion of queries to search params (see QuerySerializer)
+   * @param {object} [options.format] - format of request & response bodies (see DocumentFormat)
+   * @param {object} [options.multipart] - keys of nested fields in multipart bodies
+   * @param {string} [options.multipart.notation] - brackets: `plans[0][name]`, dots: `plans[0].name`
+   * @param {boolean} [options.multipart.arrayIndexes] - false: `plans[][name]`
+   * @param {object} [options.bulk] - saving of collections (see saveAll)
+   * @param {string|false} [options.bulk.pathname] - bulk endpoint receiving the changed items (eg: 'bulk'), false to save each item
+   * @param {string} [options.bulk.method] - method of the bulk request
+   * @param {number} [options.bulk.concurrency] - max number of concurrent requests without bulk endpoint
+   * @param {function|object|false} [options.authentication] - a function returning a Bearer token or a strategy
+   * @param {'header'|'query'|'cookie'|'basic'} [options.authentication.type] - default: header
+   * @param {function} [options.authentication.token] - return the token (header & query)
+   * @param {string} [options.authentication.header] - default: Authorization
+   * @param {string} [options.authentication.scheme] - default: Bearer
+   * @param {string} [options.authentication.param] - search param of the token (query)
+   * @param {function} [options.authentication.credentials] - return `{ username, password }` (basic)
+   * @param {function} [options.authentication.refresh] - called once on 401 before replaying the request
    * @param {object|false} [options.schema]
+   * @param {function} [options.naming] - names of the fields in the bodies (see NamingStrategy)
+   * @param {object} [options.validations] - model-level rules indexed by name
+   * @param {Array<string>} options.validations.fields - fields the rule depends on, validating one of them triggers the rule
+   * @param {Array<string>} [options.validations.flags] - fields the error is attached to, default to `fields`
+   * @param {function} options.validations.isValid - `(data) => true`, false or `{ rule }` (default rule: the rule name)
    * @param {function} [options.onValidationError]
    * @param {function} [options.onFetchError]
+   * @param {function} [options.onRollback] - called with `{ instance, method, error }` when an optimistic change is reverted
+   * @param {function} [options.formatErrorMessage]
+   * @param {function} [options.parseServerErrors]
    * @returns {Model}
    */
   static init (options = {}) {
@@ -123,22 +582,220 @@ export default class Model {
           endpoint: { type: 'string' },
           collectionDataKey: { type: 'string' },
           collectionCountKey: { type: 'string' },
-          authentication: { type: ['function', 'false'] },
+          timeout: { type: 'number' },
+          retry: {
+            type: ['object', {
+              attempts: { type: 'number' },
+              backoff: { type: ['number', 'function'] },
+              retryOn: { type: 'array' },
+              methods: { type: 'array' }
+            }]
+          },
+          middlewares: { type: 'array' },
+          adapter: { type: 'any' },
+          cache: {
+            type: ['false', ['object', {
+              ttl: { type: 'number' },
+              staleWhileRevalidate: { type: 'number' },
+              maxEntries: { type: 'number' }
+            }]]
+          },
+          identityMap: { type: 'boolean' },
+          embedded: { type: 'boolean' },
+          offline: { type: 'any' },
+          pagination: {
+            type: ['object', {
+              first: { type: 'function', required: true },
+              page: { type: 'function', required: true },
+              parse: { type: 'function', required: true }
+            }]
+          },
+          querySerializer: { type: 'function' },
+          format: {
+            type: ['object', {
+              headers: { type: 'object', required: true },
+              serialize: { type: 'function', required: true },
+              deserialize: { type: 'function', required: true }
+            }]
+          },
+          multipart: {
+            type: ['object', {
+              notation: { type: 'string' },
+              arrayIndexes: { type: 'boolean' }
+            }]
+          },
+          bulk: {
+            type: ['object', {
+              pathname: { type: ['string', 'false'] },
+              method: { type: 'string' },
+              concurrency: { type: 'number' }
+            }]
+          },
+          authentication: {
+            type: ['function', 'false', ['object', {
+              type: { type: 'string' },
+              token: { type: 'function' },
+              header: { type: 'string' },
+              scheme: { type: 'string' },
+              param: { type: 'string' },
+              credentials: { type: 'function' },
+              refresh: { type: 'function' }
+            }]]
+          },
           schema: { type: ['object', 'false'] },
+          validations: { type: 'object' },
+          naming: { type: 'function' },
           onValidationError: { type: 'function' },
-          onFetchError: { type: 'function' }
+          onFetchError: { type: 'function' },
+          onRollback: { type: 'function' },
+          formatErrorMessage: { type: 'function' },
+          parseServerErrors: { type: 'function' }
         }]
       }
     })
 
+    // Retry options are merged with the ones of the parent model
+    if (has(options, 'retry')) {
+      options = {
+        ...options,
+        retry: { ...this.retry, ...options.retry }
+      }
+    }
+
+    // Multipart options are merged with the ones of the parent model
+    if (has(options, 'multipart')) {
+      if (
+        has(options.multipart, 'notation') &&
+        !['brackets', 'dots'].includes(options.multipart.notation)
+      ) {
+        throw new RestinfrontError('init: `multipart.notation` must be "brackets" or "dots"')
+      }
+
+      options = {
+        ...options,
+        multipart: { ...this.multipart, ...options.multipart }
+      }
+    }
+
+    // Bulk options are merged with the ones of the parent model
+    if (has(options, 'bulk')) {
+      options = {
+        ...options,
+        bulk: { ...this.bulk, ...options.bulk }
+      }
+    }
+
+    if (
+      has(options, 'adapter') &&
+      !isFunction(options.adapter?.fetch)
+    ) {
+      throw new RestinfrontError('init: `adapter` must implement a `fetch(url, init)` method')
+    }
+
+    if (
+      has(options, 'offline') &&
+      options.offline !== false &&
+      !isFunction(options.offline?.enqueue)
+    ) {
+      throw new RestinfrontError('init: `offline` must be an OfflineQueue or false')
+    }
+
+    // A function is a shortcut for a Bearer token strategy
+    if (isFunction(options.authentication)) {
+      options = {
+        ...options,
+        authentication: { type: 'header', token: options.authentication }
+      }
+    }
+
+    // Middlewares are appended to the ones of the parent model
+    if (has(options, 'middlewares')) {
+      for (const [index, middleware] of options.middlewares.entries()) {
+        typecheck({
+          [`middlewares.${index}`]: {
+            value: middleware,
+            type: ['object', {
+              onRequest: { type: 'function' },
+              onResponse: { type: 'function' }
+            }]
+          }
+        })
+      }
+
+      options = {
+        ...options,
+        middlewares: [...this.middlewares, ...options.middlewares]
+      }
+    }
+
+    // Model-level rules are merged with the ones of the parent model
+    // Note: only the rules declared by this call are checked
+    const validationNames = Object.keys(options.validations ?? {})
+
+    if (has(options, 'validations')) {
+      options = {
+        ...options,
+        validations: { ...this.validations, ...options.validations }
+      }
+    }
+
+    // Computed fields are getters of the instances, they are kept apart from the fields of the data
+    const computed = {}
+
+    if (isObject(options.schema)) {
+      const schema = {}
+
+      for (const [fieldname, fieldconf] of Object.entries(options.schema)) {
+        if (has(fieldconf, 'computed')) {
+          typecheck({
+            [`schema.${fieldname}`]: {
+              value: fieldconf,
+              type: ['object', {
+                computed: { type: 'function', required: true }
+              }]
+            }
+          })
+
+          computed[fieldname] = fieldconf.computed
+        } else {
+          schema[fieldname] = fieldconf
+        }
+      }
+
+      options = {
+        ...options,
+        schema
+      }
+    }
+
     // Set options
     mergeObject({
       source: options,
       target: this
     })
 
+    if (Object.keys(computed).length > 0) {
+      this.computed = { ...this.computed, ...computed }
+
+      for (const [fieldname, getter] of Object.entries(computed)) {
+        Object.defineProperty(this.prototype, fieldname, {
+          get () {
+            return getter(this)
+          },
+          configurable: true
+        })
+      }
+    }
+
+    // Queued mutations of the model can be replayed in a next session
+    if (this.offline) {
+      this.offline.register(this)
+    }
+
     // Parse schema fields to set default values for each option
     if (this.schema) {
+      this.fieldnameAliases = {}
+
       for (const [fieldname, fieldconf] of Object.entries(this.schema)) {
         typecheck({
           [`schema.${fieldname}`]: {
@@ -149,7 +806,12 @@ export default class Model {
               defaultValue: { type: 'any' },
               allowBlank: { type: ['function', 'boolean'] },
               isValid: { type: ['function'] },
-              autoChecked: { type: ['boolean'] }
+              debounce: { type: 'number' },
+              autoChecked: { type: ['boolean'] },
+              serialize: { type: 'string' },
+              foreignKey: { type: 'string' },
+              route: { type: ['string', 'function'] },
+              serializedName: { type: 'string' }
             }]
           }
         })
@@ -159,6 +821,13 @@ export default class Model {
           this.primaryKeyFieldname = fieldname
         }
 
+        // Name of the field in the bodies (eg: created_at)
+        fieldconf.serializedName ??= this.naming(fieldname)
+        this.fieldnameAliases[fieldconf.serializedName] = fieldname
+
+        // Sub-documents are named like their owner
+        fieldconf.type.inheritNaming?.(this.naming)
+
         // Define the default value
         const defaultValue = has(fieldconf, 'defaultValue')
           ? fieldconf.defaultValue
@@ -184,75 +853,397 @@ export default class Model {
 
         // Require validation as a default except for primary key and timestamp fields
         fieldconf.autoChecked ??= fieldconf.primaryKey || ['createdAt', 'updatedAt'].includes(fieldname) || false
+
+        // Associations are sent as nested objects as a default
+        if (fieldconf.type.association) {
+          // Foreign key of the id & ids modes (eg: sponsorId, planIds)
+          // Note: left undefined without default, the schema is checked again by the next init
+          const foreignKey = fieldconf.type.shape
+            ? null
+            : fieldconf.foreignKey ?? this._getDefaultForeignKey(fieldname, fieldconf.type.association)
+
+          if (foreignKey !== null) {
+            fieldconf.foreignKey = foreignKey
+          }
+
+          fieldconf.serialize ??= 'nested'
+          this._checkSerializeMode(fieldname, fieldconf.serialize)
+        }
       }
 
-      if (this.primaryKeyFieldname === null) {
+      if (
+        this.primaryKeyFieldname === null &&
+        !this.embedded
+      ) {
         console.warn(new RestinfrontError(`\`primaryKey\` field attribute is missing on ${this.name} model. This can lead to unexpected behavior.`))
       }
     }
 
+    // Parse model-level rules
+    for (const name of validationNames) {
+      const validation = this.validations[name]
+
+      typecheck({
+        [`validations.${name}`]: {
+          value: validation,
+          type: ['object', {
+            fields: { type: 'array', required: true },
+            flags: { type: 'array' },
+            isValid: { type: 'function', required: true }
+          }]
+        }
+      })
+
+      // Errors are attached to the fields the rule depends on as a default
+      validation.flags ??= validation.fields
+
+      for (const fieldname of [...validation.fields, ...validation.flags]) {
+        if (!has(this.schema, fieldname)) {
+          throw new RestinfrontError(`validations: \`${fieldname}\` of the \`${name}\` rule is not defined in the schema of \`${this.name}\``)
+        }
+      }
+    }
+
     return this
   }
 
-  /*****************************************************************
-  * Constructor
-  *****************************************************************/
-
   /**
-  * Constructor
-  * @param {object|Array<object>} data
-  * @param {object} options
-  * @param {boolean} [options.isNew]
-  * @param {number} [options.count]
-  */
-  constructor (data, options = {}) {
-    this.$fetch = {
-      options: null,
-      response: null
+   * Extract field errors from an error response of the server
+   * Supported formats: `{ errors: { email: ['taken'] } }` and JSON:API `{ errors: [{ source: { pointer } }] }`
+   * @param {Response} response
+   * @returns {Promise<object>} list of errors (string or `{ rule, message }`) indexed by field path
+   */
+  static async parseServerErrors (response) {
+    const fieldErrors = {}
+
+    if (![400, 422].includes(response.status)) {
+      return fieldErrors
     }
-    this.$state = {
-      inprogress: false,
-      success: false,
-      failure: false,
-      immutable: {
-        success: false
-      },
-      get: {
-        inprogress: false,
-        success: false,
-        failure: false
-      }
+
+    let data
+
+    try {
+      data = await response.json()
+    } catch {
+      return fieldErrors
     }
 
-    // Format an item
-    if (isObject(data)) {
-      // Add single item specific properties
-      this.$isNew = options.isNew ?? true
-      this.$validator = this.constructor._buildValidator()
-      this.$state.save = {
-        inprogress: false,
-        success: false,
-        failure: false
+    if (isArray(data?.errors)) {
+      // JSON:API: /data/attributes/plans/2/price => plans.2.price
+      for (const error of data.errors) {
+        const path = (error.source?.pointer ?? '')
+          .replace(/^\/data(\/(attributes|relationships))?\/?/, '')
+          .replaceAll('/', '.')
+
+        if (path) {
+          fieldErrors[path] ??= []
+          fieldErrors[path].push({
+            rule: error.code ?? 'SERVER',
+            message: error.detail ?? error.title
+          })
+        }
       }
+    } else if (isObject(data?.errors)) {
+      for (const [path, errors] of Object.entries(data.errors)) {
+        fieldErrors[path] = isArray(errors) ? errors : [errors]
+      }
+    }
 
-      // Build a raw item if it's a new instance
+    return fieldErrors
+  }
+
+  /**
+   * Remove the cached responses of the model endpoint
+   * Called on the base Model, it clears the whole cache
+   * @returns {void}
+   */
+  static invalidateCache () {
+    const prefix = joinPaths(this.baseUrl, this.endpoint)
+
+    for (const url of RESPONSE_CACHE.keys()) {
       if (
-        this.$isNew &&
-        this.constructor.schema
+        url === prefix ||
+        url.startsWith(`${prefix}/`) ||
+        url.startsWith(`${prefix}?`) ||
+        prefix === ''
       ) {
-        data = this.constructor._buildRawItem(data)
+        RESPONSE_CACHE.delete(url)
+      }
+    }
+  }
+
+  /**
+   * Remove every cached response of the model and its children
+   * Called on the base Model, it clears the whole cache (eg: between tests)
+   * @returns {void}
+   */
+  static clearCache () {
+    for (const [url, entry] of RESPONSE_CACHE) {
+      if (
+        entry.model === this ||
+        entry.model.prototype instanceof this
+      ) {
+        RESPONSE_CACHE.delete(url)
+      }
+    }
+  }
+
+  /**
+   * Get a cached response, expired ones are evicted
+   * @param {string} url
+   * @returns {object|undefined}
+   */
+  static _getCachedResponse (url) {
+    const entry = RESPONSE_CACHE.get(url)
+
+    if (!entry) {
+      return undefined
+    }
+
+    RESPONSE_CACHE.delete(url)
+
+    if (entry.expiresAt <= Date.now()) {
+      return undefined
+    }
+
+    // Most recently used
+    RESPONSE_CACHE.set(url, entry)
+
+    return entry
+  }
+
+  /**
+   * Store a response in the cache
+   * Responses expire after ttl + staleWhileRevalidate, unless they can be revalidated with their ETag
+   * The least recently used responses of the model are evicted beyond `cache.maxEntries`
+   * @param {string} url
+   * @param {object} entry
+   * @param {any} entry.data
+   * @param {Array} entry.headers
+   * @param {string|null} entry.etag
+   * @returns {void}
+   */
+  static _setCachedResponse (url, entry) {
+    const now = Date.now()
+
+    for (const [cachedUrl, cachedEntry] of RESPONSE_CACHE) {
+      if (cachedEntry.expiresAt <= now) {
+        RESPONSE_CACHE.delete(cachedUrl)
+      }
+    }
+
+    RESPONSE_CACHE.delete(url)
+    RESPONSE_CACHE.set(url, {
+      ...entry,
+      model: this,
+      storedAt: now,
+      expiresAt: entry.etag
+        ? Infinity
+        : now + (this.cache.ttl ?? 0) + (this.cache.staleWhileRevalidate ?? 0)
+    })
+
+    const urls = [...RESPONSE_CACHE]
+      .filter(([, cachedEntry]) => cachedEntry.model === this)
+      .map(([cachedUrl]) => cachedUrl)
+
+    for (const cachedUrl of urls.slice(0, Math.max(0, urls.length - (this.cache.maxEntries ?? 100)))) {
+      RESPONSE_CACHE.delete(cachedUrl)
+    }
+  }
+
+  /**
+   * Get the identity map of the model
+   * @returns {Map<any,WeakRef<Model>>}
+   */
+  static _getIdentityMap () {
+    if (!IDENTITY_MAPS.has(this)) {
+      IDENTITY_MAPS.set(this, new Map())
+    }
+
+    return IDENTITY_MAPS.get(this)
+  }
+
+  /**
+   * Define the shared instance of a record if there is none
+   * @param {Model} instance
+   * @param {any} primaryKey
+   * @returns {Model} the shared instance
+   */
+  static _registerIdentity (instance, primaryKey = instance[this.primaryKeyFieldname]) {
+    if (
+      !this.identityMap ||
+      primaryKey === undefined ||
+      primaryKey === null ||
+      primaryKey === ''
+    ) {
+      return instance
+    }
+
+    const identityMap = this._getIdentityMap()
+    const sharedInstance = identityMap.get(primaryKey)?.deref()
+
+    if (sharedInstance) {
+      return sharedInstance
+    }
+
+    const ref = new WeakRef(instance)
+    identityMap.set(primaryKey, ref)
+    IDENTITY_CLEANUP.register(instance, { identityMap, primaryKey, ref })
+
+    return instance
+  }
+
+  /**
+   * Remove a record from the identity map
+   * @param {any} primaryKey
+   * @returns {void}
+   */
+  static evict (primaryKey) {
+    IDENTITY_MAPS.get(this)?.delete(primaryKey)
+  }
+
+  /**
+   * Clear the identity map of the model and its children
+   * Called on the base Model, it clears every identity map (eg: on logout)
+   * @returns {void}
+   */
+  static clearIdentityMap () {
+    for (const [ModelClass, identityMap] of IDENTITY_MAPS) {
+      if (
+        ModelClass === this ||
+        ModelClass.prototype instanceof this
+      ) {
+        identityMap.clear()
+      }
+    }
+  }
+
+  /*****************************************************************
+  * Constructor
+  *****************************************************************/
+
+  /**
+  * Constructor
+  * @param {object|Array<object>} data
+  * @param {object} options
+  * @param {boolean} [options.isNew]
+  * @param {number} [options.count]
+  */
+  constructor (data, options = {}) {
+    this.$fetch = {
+      options: null,
+      // Options of the last GET request, reused by the pagination of the collections
+      getOptions: null,
+      response: null,
+      controllers: {}
+    }
+    this.$state = {
+      inprogress: false,
+      success: false,
+      failure: false,
+      aborted: false,
+      attempt: 0,
+      immutable: {
+        success: false
+      },
+      get: {
+        inprogress: false,
+        success: false,
+        failure: false
+      },
+      // Mutation queued without network
+      pending: false,
+      // Progress of multipart requests
+      upload: {
+        loaded: 0,
+        total: 0,
+        progress: 0
+      }
+    }
+
+    // Format an item
+    if (isObject(data)) {
+      // Add single item specific properties
+      this.$isNew = options.isNew ?? true
+      this.$validator = this.constructor._buildValidator()
+      // Fields with an asynchronous check in progress
+      this.$validating = Object.fromEntries(Object.keys(this.constructor.schema || {}).map(fieldname => [fieldname, false]))
+      this.$state.save = {
+        inprogress: false,
+        success: false,
+        failure: false
+      }
+      this.$state.delete = {
+        inprogress: false,
+        success: false,
+        failure: false
+      }
+
+      // Fields of the bodies are renamed (eg: created_at => createdAt)
+      data = Object.fromEntries(
+        Object.entries(data).map(([key, value]) => [this.constructor._getFieldname(key), value])
+      )
+
+      // Build a raw item if it's a new instance
+      if (
+        this.$isNew &&
+        this.constructor.schema
+      ) {
+        data = this.constructor._buildRawItem(data)
       }
 
       // Format existing fields recursively
       for (const [fieldname, value] of Object.entries(data)) {
+        // Computed fields are read-only
+        if (has(this.constructor.computed, fieldname)) {
+          continue
+        }
+
         this[fieldname] = has(this.constructor.schema, fieldname)
           ? this.constructor.schema[fieldname].type.beforeBuild(value, options)
           : value
+
+        this._linkAssociation(fieldname)
+      }
+
+      // States of the associations retrieved with .load()
+      this.$state.load = {}
+      for (const [fieldname, fieldconf] of Object.entries(this.constructor.schema || {})) {
+        if (fieldconf.type.model) {
+          this.$state.load[fieldname] = {
+            inprogress: false,
+            success: false,
+            failure: false
+          }
+        }
+      }
+
+      // Initial state used for dirty tracking
+      this._takeSnapshot()
+
+      // Records from the server are merged into their shared instance
+      if (!this.$isNew) {
+        const sharedInstance = this.constructor._registerIdentity(this)
+
+        if (sharedInstance !== this) {
+          sharedInstance._mutateData(this)
+
+          return sharedInstance
+        }
       }
     // Format a collection of items
     } else if (isArray(data)) {
       // Add collection of items specific properties
       this.$count = 0
+      this.$pagination = null
+      this.$state.save = {
+        inprogress: false,
+        success: false,
+        failure: false,
+        // Items of the last .saveAll()
+        succeeded: [],
+        failed: []
+      }
 
       // Add items to the list
       this[COLLECTION_KEY] = []
@@ -265,6 +1256,9 @@ export default class Model {
       if (has(options, 'count')) {
         this.$count = options.count
       }
+
+      // Initial state used for dirty tracking
+      this._takeSnapshot()
     }
 
     return this
@@ -310,9 +1304,20 @@ export default class Model {
    * Format data recursively based on schema definition
    * @param {object} options
    * @param {boolean} [options.removeInvalid]
+   * @param {boolean} [options.removeUnchanged]
+   * @param {boolean} [options.request] - bodies of requests follow the serialization modes of the schema, other data are nested
+   * @param {object} [options.serialize] - serialization modes of the associations, override the schema
    */
   _beforeSerializeItem (options = {}) {
     const removeInvalid = options.removeInvalid ?? false
+    const removeUnchanged = options.removeUnchanged ?? false
+    const request = options.request ?? false
+    // Overrides only concern the associations of the serialized item
+    const { serialize: serializeModes = {}, ...nestedOptions } = options
+
+    for (const [fieldname, mode] of Object.entries(serializeModes)) {
+      this.constructor._checkSerializeMode(fieldname, mode)
+    }
 
     const newItem = {}
 
@@ -320,10 +1325,30 @@ export default class Model {
       const value = this[fieldname]
 
       if (
-        !removeInvalid ||
-        (removeInvalid && validator.checked && validator.isValid(value, this))
+        (
+          !removeInvalid ||
+          (removeInvalid && validator.checked && validator.isValid(value, this))
+        ) &&
+        (
+          !removeUnchanged ||
+          // New items are sent entirely, primary key is kept to identify existing ones
+          (removeUnchanged && (this.$isNew || fieldname === this.constructor.primaryKeyFieldname || this.isDirty(fieldname)))
+        )
       ) {
-        newItem[fieldname] = this.constructor.schema[fieldname].type.beforeSerialize(value, options)
+        const fieldconf = this.constructor.schema[fieldname]
+        const mode = serializeModes[fieldname] ?? (request ? fieldconf.serialize : 'nested')
+
+        if (!fieldconf.type.association || mode === 'nested') {
+          newItem[fieldconf.serializedName] = fieldconf.type.beforeSerialize(value, nestedOptions)
+        } else if (mode === 'id') {
+          newItem[fieldconf.foreignKey] = value instanceof Model
+            ? value[value.constructor.primaryKeyFieldname]
+            : null
+        } else if (mode === 'ids') {
+          newItem[fieldconf.foreignKey] = value instanceof Model
+            ? value.map(item => item[item.constructor.primaryKeyFieldname])
+            : []
+        }
       }
     }
 
@@ -334,6 +1359,9 @@ export default class Model {
    * Format collections and objects to use in back
    * @param {object} options
    * @param {boolean} [options.removeInvalid]
+   * @param {boolean} [options.removeUnchanged]
+   * @param {boolean} [options.request]
+   * @param {object} [options.serialize]
    */
   beforeSerialize (options = {}) {
     if (this.isCollection) {
@@ -460,6 +1488,10 @@ export default class Model {
    * The collection can be extended with more items
    */
   get hasMore () {
+    if (this.$pagination) {
+      return this.$pagination.hasNext
+    }
+
     return this.length < this.$count
   }
 
@@ -479,11 +1511,33 @@ export default class Model {
     return this.last[this.constructor.primaryKeyFieldname] === ref[this.constructor.primaryKeyFieldname]
   }
 
+  /**
+   * Keep a reference to the collection in the item to remove it on delete
+   * Note: an item can belong to several collections
+   * @param {Model} item
+   * @returns {void}
+   */
+  _attachItem (item) {
+    item[PARENTS_KEY] ??= new Set()
+    item[PARENTS_KEY].add(this)
+  }
+
+  /**
+   * Remove the reference to the collection from the item
+   * @param {Model} item
+   * @returns {void}
+   */
+  _detachItem (item) {
+    item[PARENTS_KEY]?.delete(this)
+  }
+
   /**
    * Remove all items from the collection
    */
   clear () {
-    this.items().splice(0, this.length)
+    for (const item of this.items().splice(0, this.length)) {
+      this._detachItem(item)
+    }
   }
 
   /**
@@ -511,7 +1565,13 @@ export default class Model {
 
     this.$count -= 1
 
-    return this.items().splice(indexToRemove, 1)
+    const removedItems = this.items().splice(indexToRemove, 1)
+
+    for (const item of removedItems) {
+      this._detachItem(item)
+    }
+
+    return removedItems
   }
 
   /**
@@ -525,6 +1585,8 @@ export default class Model {
       ? item
       : new this.constructor(item, options)
 
+    this._attachItem(instance)
+
     this.items().push(instance)
 
     this.$count += 1
@@ -547,6 +1609,119 @@ export default class Model {
     }
   }
 
+  /**
+   * Persist the change of an association by patching its owner, revert it on failure
+   * @param {function} rollback - revert the local change
+   * @param {object} options - fetch options
+   * @returns {Promise<boolean>} success
+   */
+  async _saveThroughOwner (rollback, options) {
+    const { parent, fieldname } = this[OWNER_KEY]
+
+    // Only validated fields are sent
+    const isValid = parent.valid([fieldname])
+
+    if (isValid) {
+      // The request could not be built (eg: serialization error)
+      try {
+        await parent.patch('', options)
+      } catch (error) {
+        rollback()
+        throw error
+      }
+    }
+
+    if (!isValid || parent.$state.save.failure) {
+      rollback()
+      this.constructor.onRollback({
+        instance: this,
+        method: 'PATCH',
+        error: new RestinfrontError(`${fieldname}: the change could not be saved through \`${parent.constructor.name}\``)
+      })
+
+      return false
+    }
+
+    return true
+  }
+
+  /**
+   * Remove the item from the collection immediately and persist the removal
+   * An association (eg: user.plans) is saved through its owner, the item is deleted otherwise
+   * The item is restored on failure
+   * @param {string|function|object} ref
+   * @param {object} [options] - fetch options (eg: timeout)
+   * @returns {Promise<Array<Model>|null>} removed items, null if not found or on failure
+   */
+  async removeOptimistic (ref, options = {}) {
+    const item = this.items().find(this.constructor._getCollectionCallback(ref))
+
+    if (!item) {
+      return null
+    }
+
+    if (this[OWNER_KEY]) {
+      const index = this.items().indexOf(item)
+      const removedItems = this.remove(ref)
+
+      const success = await this._saveThroughOwner(() => {
+        this.items().splice(index, 0, item)
+        this._attachItem(item)
+        this.$count += 1
+      }, options)
+
+      return success ? removedItems : null
+    }
+
+    // The item is removed from its collections by the request, restored on failure
+    await item.delete('', { ...options, optimistic: true })
+
+    return item.$state.delete.failure ? null : [item]
+  }
+
+  /**
+   * Add an item to the collection immediately and persist the addition
+   * An association (eg: user.plans) is saved through its owner, the item is created otherwise
+   * The item is removed on failure
+   * @param {object|Model} item - optional definition of the item to add
+   * @param {object} [options] - fetch options (eg: timeout)
+   * @returns {Promise<Model>}
+   */
+  async addOptimistic (item = {}, options = {}) {
+    const instance = this.add(item)
+
+    if (this[OWNER_KEY]) {
+      await this._saveThroughOwner(() => this.remove(value => value === instance), options)
+    } else {
+      // The request could not be built (eg: serialization error)
+      try {
+        await instance.post('', { ...options, optimistic: true })
+      } catch (error) {
+        this.remove(value => value === instance)
+        throw error
+      }
+    }
+
+    return instance
+  }
+
+  /**
+   * Remove or add the item immediately and persist the change (see removeOptimistic & addOptimistic)
+   * @param {object} item - item (with the primary key) to add or remove
+   * @param {function|null} [callback]
+   * @param {object} [options] - fetch options (eg: timeout)
+   * @returns {Promise<Array<Model>|Model|null>}
+   */
+  async toggleOptimistic (item, callback = null, options = {}) {
+    const ref = callback || item
+
+    if (this.exists(ref)) {
+      return await this.removeOptimistic(ref, options)
+    } else {
+      return await this.addOptimistic(item, options)
+    }
+  }
+
   /*****************************************************************
   * Validation
   *****************************************************************/
@@ -554,10 +1729,13 @@ export default class Model {
   /**
    * Valid a list of fields
    * @param {Array<string>} fieldlist list of fieldname
+   * @param {Array<Promise>} [pendingChecks] - filled with the asynchronous checks in progress
    * @returns {object} errors
    */
-  _getValidationErrors (fieldlist) {
+  _getValidationErrors (fieldlist, pendingChecks = []) {
     const errors = new Map()
+    // Model-level rules triggered by the listed fields, indexed by flagged field
+    const triggeredRules = new Map()
 
     // Check user defined validation
     for (const fielditem of fieldlist) {
@@ -568,8 +1746,28 @@ export default class Model {
         if (has(this, fieldname)) {
           this.$validator[fieldname].checked = true
 
-          if (this.$validator[fieldname].isValid(this[fieldname], this) === false) {
-            errors.set(fieldname, { value: this[fieldname], error: 'NOT_VALID' })
+          const fieldErrors = this.$validator[fieldname].getErrors(this[fieldname], this)
+          const pendingCheck = this.$validator[fieldname].pendingCheck()
+
+          if (pendingCheck) {
+            pendingChecks.push(pendingCheck)
+          }
+
+          if (fieldErrors.length > 0) {
+            errors.set(fieldname, { value: this[fieldname], error: 'NOT_VALID', errors: fieldErrors })
+          }
+
+          for (const [name, validation] of Object.entries(this.constructor.validations)) {
+            if (validation.fields.includes(fieldname)) {
+              for (const flag of validation.flags) {
+                this.$validator[flag].checkedRules.add(name)
+
+                if (!triggeredRules.has(flag)) {
+                  triggeredRules.set(flag, new Set())
+                }
+                triggeredRules.get(flag).add(name)
+              }
+            }
           }
         } else {
           errors.set(fieldname, { error: 'NOT_FOUND' })
@@ -588,18 +1786,18 @@ export default class Model {
               case 'BelongsTo':
               case 'HasOne':
                 if (this[fieldname] !== null) {
-                  associationErrors = this[fieldname]._getValidationErrors(fieldlist)
+                  associationErrors = this[fieldname]._getValidationErrors(fieldlist, pendingChecks)
                 }
                 break
               case 'HasMany':
                 // Check if each item of the collection is valid
                 associationErrors = this[fieldname]
-                  .map(item => item._getValidationErrors(fieldlist))
+                  .map(item => item._getValidationErrors(fieldlist, pendingChecks))
                   .filter(errors => errors.size > 0)
                 break
             }
           } else {
-            associationErrors = this._getValidationErrors([fieldname])
+            associationErrors = this._getValidationErrors([fieldname], pendingChecks)
           }
 
           if (
@@ -616,11 +1814,23 @@ export default class Model {
       }
     }
 
+    // Flagged fields which are not listed only report the triggered rules
+    for (const [fieldname, names] of triggeredRules) {
+      if (!fieldlist.includes(fieldname)) {
+        const ruleErrors = this.$validator[fieldname].getRuleErrors(this[fieldname], this, names)
+
+        if (ruleErrors.length > 0) {
+          errors.set(fieldname, { value: this[fieldname], error: 'NOT_VALID', errors: ruleErrors })
+        }
+      }
+    }
+
     return errors
   }
 
   /**
    * Valid a list of fields
+   * Note: fields with an asynchronous check in progress are not valid (see .validate())
    * @param {Array<string>} fieldlist list of fieldname
    * @returns {boolean} result of fields validation
    */
@@ -647,33 +1857,471 @@ export default class Model {
   }
 
   /**
-   * Check validation status of a validated field
-   * @param {string} fieldname
-   * @returns {boolean}
+   * Valid a list of fields, waiting for the asynchronous checks
+   * Values changed during the checks are checked again
+   * @param {Array<string>} fieldlist list of fieldname
+   * @returns {Promise<boolean>} result of fields validation
    */
-  error (fieldname) {
-    return (
-      this.$validator[fieldname].checked &&
-      !this.$validator[fieldname].isValid(this[fieldname], this)
-    )
-  }
+  async validate (fieldlist) {
+    this._denyCollection()
 
-  /*****************************************************************
-  * HTTP
-  *****************************************************************/
+    if (!isArray(fieldlist)) {
+      throw new RestinfrontError('validate: param MUST be an array')
+    }
+
+    // Reset save states
+    this.$state.save.inprogress = false
+    this.$state.save.success = false
+    this.$state.save.failure = false
+
+    let errors
+    let pendingChecks
+
+    do {
+      pendingChecks = []
+      errors = this._getValidationErrors(fieldlist, pendingChecks)
+
+      await Promise.all(pendingChecks)
+    } while (pendingChecks.length > 0)
+
+    const isValid = errors.size === 0
+
+    if (!isValid) {
+      this.constructor.onValidationError(errors)
+    }
+
+    return isValid
+  }
 
   /**
-   * Update the current model instance with new data
-   * @param {Model} instance
-   * @returns {void}
+   * Get the asynchronous checks in progress of the item and its associations
+   * @returns {Array<Promise>}
    */
-  _mutateData (instance) {
-    if (instance.isCollection) {
-      if (this.$fetch.options?.extend) {
-        instance.forEach(newItem => this.add(newItem))
-      } else {
-        this[COLLECTION_KEY] = instance.items()
+  _getPendingChecks () {
+    if (this.isCollection) {
+      return this.items().flatMap(item => item._getPendingChecks())
+    }
+
+    const pendingChecks = []
+
+    for (const [fieldname, validator] of Object.entries(this.$validator)) {
+      const pendingCheck = validator.pendingCheck()
+
+      if (pendingCheck) {
+        pendingChecks.push(pendingCheck)
+      }
+
+      if (
+        this.constructor.schema[fieldname].type.association &&
+        this[fieldname] instanceof Model
+      ) {
+        pendingChecks.push(...this[fieldname]._getPendingChecks())
+      }
+    }
+
+    return pendingChecks
+  }
+
+  /**
+   * Wait for the asynchronous checks in progress, including the ones started meanwhile
+   * @returns {Promise<void>}
+   */
+  async _waitForPendingChecks () {
+    let pendingChecks
+
+    do {
+      pendingChecks = this._getPendingChecks()
+
+      await Promise.all(pendingChecks)
+    } while (pendingChecks.length > 0)
+  }
+
+  /**
+   * Find the item owning a field from its path
+   * Nested fields of associations are reachable with a path (eg: `sponsor.code`, `plans.2.price`, `plans[2].price`)
+   * @param {string} path
+   * @returns {object|null} `{ item, fieldname }`
+   */
+  _findField (path) {
+    const segments = path.replace(/\[(\w+)\]/g, '.$1').split('.')
+    const name = segments.pop()
+    let item = this
+
+    for (const segment of segments) {
+      const value = item.isCollection
+        ? item.items()[Number(segment)]
+        : item[item.constructor._getFieldname(segment)]
+
+      if (!(value instanceof Model)) {
+        return null
+      }
+
+      item = value
+    }
+
+    // Paths of the server errors can use the names of the bodies
+    const fieldname = item.constructor._getFieldname(name)
+
+    if (
+      item.isCollection ||
+      !has(item.$validator, fieldname)
+    ) {
+      return null
+    }
+
+    return { item, fieldname }
+  }
+
+  /**
+   * Attach errors returned by the server to the fields
+   * @param {object} fieldErrors - list of errors indexed by field path
+   * @returns {void}
+   */
+  _setServerErrors (fieldErrors) {
+    for (const [path, errors] of Object.entries(fieldErrors)) {
+      const field = this._findField(path)
+
+      if (field === null) {
+        continue
+      }
+
+      const { item, fieldname } = field
+      const value = item[fieldname]
+
+      item.$validator[fieldname].checked = true
+      item.$validator[fieldname].serverErrors = {
+        // Server errors are displayed until the value changes
+        value: JSON.stringify(value),
+        errors: errors.map(error => {
+          error = isString(error)
+            ? { rule: 'SERVER', message: error }
+            : { rule: 'SERVER', ...error }
+
+          return {
+            ...error,
+            message: item.constructor.formatErrorMessage({ ...error, fieldname, value })
+          }
+        })
+      }
+    }
+  }
+
+  /**
+   * Remove errors returned by the server recursively
+   * @returns {void}
+   */
+  _clearServerErrors () {
+    if (this.isCollection) {
+      this.forEach(item => item._clearServerErrors())
+    } else {
+      for (const [fieldname, validator] of Object.entries(this.$validator)) {
+        delete validator.serverErrors
+
+        if (
+          this.constructor.schema[fieldname].type.association &&
+          this[fieldname] instanceof Model
+        ) {
+          this[fieldname]._clearServerErrors()
+        }
+      }
+    }
+  }
+
+  /**
+   * Attach errors returned by the server for a bulk request to the saved items
+   * Note: paths start with the index of the item in the request (eg: `2.price`)
+   * @param {Array<Model>} items
+   * @param {object} fieldErrors - list of errors indexed by field path
+   * @returns {void}
+   */
+  _setBulkServerErrors (items, fieldErrors) {
+    for (const [path, errors] of Object.entries(fieldErrors)) {
+      const [, index, itemPath] = path.match(/^\[?(\d+)\]?\.?(.*)$/) ?? []
+
+      items[index]?._setServerErrors({ [itemPath]: errors })
+    }
+  }
+
+  /**
+   * Get the errors of a validated field, including errors returned by the server
+   * Nested fields of associations are reachable with a path (eg: `sponsor.code`, `plans.2.price`)
+   * @param {string} path
+   * @returns {Array<object>} list of `{ rule, message }`
+   */
+  errors (path) {
+    const field = this._findField(path)
+
+    if (field === null) {
+      return []
+    }
+
+    const { item, fieldname } = field
+    const validator = item.$validator[fieldname]
+    const value = item[fieldname]
+
+    // Fields flagged by a triggered model-level rule only report this rule
+    if (!validator.checked) {
+      return validator.getRuleErrors(value, item, validator.checkedRules)
+    }
+
+    const serverErrors = validator.serverErrors?.value === JSON.stringify(value)
+      ? validator.serverErrors.errors
+      : []
+
+    return [
+      // Checks in progress are reported by $validating
+      ...validator.getErrors(value, item).filter(error => error.rule !== 'VALIDATING'),
+      ...serverErrors
+    ]
+  }
+
+  /**
+   * Get the errors of every validated fields, including associations, indexed by path
+   * @returns {object}
+   */
+  get $errors () {
+    const errors = {}
+
+    if (this.isCollection) {
+      for (const [index, item] of this.entries()) {
+        for (const [path, fieldErrors] of Object.entries(item.$errors)) {
+          errors[`${index}.${path}`] = fieldErrors
+        }
+      }
+    } else {
+      for (const fieldname of Object.keys(this.$validator)) {
+        const fieldErrors = this.errors(fieldname)
+
+        if (fieldErrors.length > 0) {
+          errors[fieldname] = fieldErrors
+        }
+
+        if (
+          this.constructor.schema[fieldname].type.association &&
+          this[fieldname] instanceof Model
+        ) {
+          for (const [path, nestedErrors] of Object.entries(this[fieldname].$errors)) {
+            errors[`${fieldname}.${path}`] = nestedErrors
+          }
+        }
+      }
+    }
+
+    return errors
+  }
+
+  /**
+   * Check validation status of a validated field
+   * @param {string} fieldname
+   * @returns {boolean}
+   */
+  error (fieldname) {
+    return this.errors(fieldname).length > 0
+  }
+
+  /*****************************************************************
+  * Dirty tracking
+  *****************************************************************/
+
+  /**
+   * Save the current state as the reference for dirty tracking
+   * Associations are stored by reference, they track their own changes
+   * @returns {void}
+   */
+  _takeSnapshot () {
+    if (this.isCollection) {
+      this[SNAPSHOT_KEY] = {
+        items: [...this.items()],
+        count: this.$count
+      }
+    } else {
+      this[SNAPSHOT_KEY] = {}
+
+      for (const [fieldname, fieldconf] of Object.entries(this.constructor.schema)) {
+        // Binaries can not be stringified, they are compared by reference
+        if (fieldconf.type.association || this[fieldname] instanceof Blob) {
+          this[SNAPSHOT_KEY][fieldname] = this[fieldname]
+        } else if (this[fieldname] !== undefined) {
+          this[SNAPSHOT_KEY][fieldname] = JSON.stringify(this[fieldname])
+        }
+      }
+    }
+  }
+
+  /**
+   * Check if the instance has changed since its last snapshot
+   * @returns {boolean}
+   */
+  get $dirty () {
+    if (this.isCollection) {
+      const snapshot = this[SNAPSHOT_KEY]
+
+      return (
+        this.length !== snapshot.items.length ||
+        this.some(item => !snapshot.items.includes(item) || item.$dirty)
+      )
+    } else {
+      return this.changedFields().length > 0
+    }
+  }
+
+  /**
+   * Check if a field has changed since its last snapshot
+   * @param {string} fieldname
+   * @returns {boolean}
+   */
+  isDirty (fieldname) {
+    this._denyCollection()
+
+    if (!has(this.constructor.schema, fieldname)) {
+      throw new RestinfrontError(`isDirty: \`${fieldname}\` is not defined in the schema of \`${this.constructor.name}\``)
+    }
+
+    const snapshot = this[SNAPSHOT_KEY]
+    const fieldconf = this.constructor.schema[fieldname]
+    const value = this[fieldname]
+
+    if (fieldconf.type.association) {
+      return (
+        value !== snapshot[fieldname] ||
+        (value instanceof Model && value.$dirty)
+      )
+    } else if (!has(snapshot, fieldname)) {
+      return value !== undefined
+    } else if (value instanceof Blob || snapshot[fieldname] instanceof Blob) {
+      return value !== snapshot[fieldname]
+    } else {
+      return JSON.stringify(value) !== snapshot[fieldname]
+    }
+  }
+
+  /**
+   * List the fields changed since the last snapshot
+   * @returns {Array<string>}
+   */
+  changedFields () {
+    this._denyCollection()
+
+    return Object.keys(this.constructor.schema).filter(fieldname => this.isDirty(fieldname))
+  }
+
+  /**
+   * Restore the state of the last snapshot recursively
+   * @returns {void}
+   */
+  reset () {
+    const snapshot = this[SNAPSHOT_KEY]
+
+    if (this.isCollection) {
+      for (const item of this.items()) {
+        this._detachItem(item)
+      }
+
+      this[COLLECTION_KEY] = [...snapshot.items]
+      this.$count = snapshot.count
+
+      for (const item of this.items()) {
+        this._attachItem(item)
+        item.reset()
+      }
+    } else {
+      for (const [fieldname, fieldconf] of Object.entries(this.constructor.schema)) {
+        if (fieldconf.type.association) {
+          this[fieldname] = snapshot[fieldname]
+
+          if (this[fieldname] instanceof Model) {
+            this[fieldname].reset()
+          }
+        } else if (snapshot[fieldname] instanceof Blob) {
+          this[fieldname] = snapshot[fieldname]
+        } else if (has(snapshot, fieldname)) {
+          this[fieldname] = fieldconf.type.beforeBuild(JSON.parse(snapshot[fieldname]))
+        }
+      }
+    }
+  }
+
+  /**
+   * Alias of reset
+   * @returns {void}
+   */
+  revert () {
+    this.reset()
+  }
+
+  /*****************************************************************
+  * HTTP
+  *****************************************************************/
+
+  /**
+   * Keep a reference to the parent in a collection association to retrieve it from its route
+   * Note: single associations can be shared instances (see identityMap), their owner is given
+   * by .load() on each request instead
+   * @param {string} fieldname
+   * @returns {void}
+   */
+  _linkAssociation (fieldname) {
+    if (
+      this.constructor.schema?.[fieldname]?.type.association &&
+      this[fieldname] instanceof Model &&
+      this[fieldname].isCollection
+    ) {
+      this[fieldname][OWNER_KEY] = {
+        parent: this,
+        fieldname
+      }
+    }
+  }
+
+  /**
+   * Get the pathname of an association from its route
+   * Default route: `<endpoint>/<primary key>/<fieldname>` (eg: users/1/plans)
+   * Placeholders are replaced with fields of the item (eg: `/users/:id/plans`)
+   * @param {string} fieldname
+   * @returns {string}
+   */
+  _getAssociationRoute (fieldname) {
+    const route = this.constructor.schema[fieldname].route
+
+    if (isFunction(route)) {
+      return route(this)
+    } else if (isString(route)) {
+      return route.replace(/:(\w+)/g, (placeholder, name) => encodeURIComponent(this[name]))
+    } else {
+      return joinPaths(this.constructor.endpoint, String(this[this.constructor.primaryKeyFieldname]), fieldname)
+    }
+  }
+
+  /**
+   * Update the current model instance with new data
+   * @param {Model} instance
+   * @returns {void}
+   */
+  _mutateData (instance) {
+    if (instance.isCollection) {
+      // Items are moved from the new collection to the current one
+      for (const item of instance.items()) {
+        instance._detachItem(item)
+        this._attachItem(item)
+      }
+
+      if (this.$fetch.options?.extend) {
+        if (this.$fetch.options.prepend) {
+          this.items().unshift(...instance.items())
+          this[SNAPSHOT_KEY].items.unshift(...instance.items())
+        } else {
+          this.items().push(...instance.items())
+          this[SNAPSHOT_KEY].items.push(...instance.items())
+        }
+
+        // Grand total of the server, or the number of loaded items without it (eg: cursor)
+        this.$count = this.$pagination?.total ?? this.$count + instance.length
+        // New items come from the server, they are not changes
+        this[SNAPSHOT_KEY].count = this.$count
+      } else {
+        this[COLLECTION_KEY] = instance.items()
         this.$count = instance.$count
+        this._takeSnapshot()
       }
     } else {
       for (const [key, value] of Object.entries(instance)) {
@@ -684,46 +2332,396 @@ export default class Model {
         ) {
           this[key]._mutateData(value)
         // Basic fields & $isNew
-        } else if (!['$fetch', '$state', '$validator'].includes(key)) {
+        } else if (!['$fetch', '$state', '$validator', '$validating'].includes(key)) {
           this[key] = value
+          this._linkAssociation(key)
+        }
+      }
+
+      // Data comes from the server, this is the new reference state
+      this._takeSnapshot()
+    }
+  }
+
+  /**
+   * Build an instance from the data of a server response
+   * @param {object|Array<object>} data
+   * @returns {Model}
+   */
+  _buildFromServerData (data) {
+    const dataOptions = {
+      isNew: false
+    }
+
+    if (
+      has(data, this.constructor.collectionDataKey) &&
+      (
+        has(data, this.constructor.collectionCountKey) ||
+        // Count is optional with cursor pagination
+        (this.isCollection && isArray(data[this.constructor.collectionDataKey]))
+      )
+    ) {
+      if (has(data, this.constructor.collectionCountKey)) {
+        dataOptions.count = data[this.constructor.collectionCountKey]
+      }
+
+      data = data[this.constructor.collectionDataKey]
+    }
+
+    return new this.constructor(data, dataOptions)
+  }
+
+  /**
+   * Update the pagination of the collection with a server response
+   * @param {object} options - fetch options
+   * @param {any} data - body of the response
+   * @param {Headers|null} headers
+   * @param {number} length - number of received items
+   * @returns {void}
+   */
+  _updatePagination (options, data, headers, length) {
+    const pagination = this.constructor.pagination.parse({
+      data,
+      headers,
+      searchParams: options.searchParams ?? {},
+      count: has(data, this.constructor.collectionCountKey)
+        ? data[this.constructor.collectionCountKey]
+        : null,
+      length
+    })
+
+    // An extended collection keeps the other bound of the loaded pages
+    if (options.prepend) {
+      pagination.page = this.$pagination.page
+      pagination.next = this.$pagination.next
+    } else if (options.extend) {
+      pagination.previous = this.$pagination.previous
+    }
+
+    this.$pagination = {
+      ...pagination,
+      hasNext: pagination.next !== null,
+      hasPrevious: pagination.previous !== null
+    }
+  }
+
+  /**
+   * Merge the rows of a bulk response into the saved items
+   * Note: rows are in the order of the saved items
+   * @param {Array<Model>} items
+   * @param {any} data - body of the response
+   * @returns {void}
+   */
+  _mutateBulkItems (items, data) {
+    const rows = has(data, this.constructor.collectionDataKey)
+      ? data[this.constructor.collectionDataKey]
+      : data
+
+    for (const [index, item] of items.entries()) {
+      if (isObject(rows?.[index])) {
+        item.constructor._registerIdentity(item, item.constructor._readField(rows[index], item.constructor.primaryKeyFieldname))
+        item._mutateData(item._buildFromServerData(rows[index]))
+      }
+    }
+  }
+
+  /**
+   * Build the request init to pass to the fetch method
+   * @param {object} options
+   * @param {string} options.method
+   * @param {object} options.signal
+   * @param {object} [serializeOptions]
+   * @param {object} [serializeOptions.serialize] - serialization modes of the associations
+   * @returns {RequestInit}
+   */
+  async _buildRequestInit (options = {}, serializeOptions = {}) {
+    const requestInit = {
+      mode: 'cors',
+      headers: {
+        ...this.constructor.format.headers
+      },
+      ...options
+    }
+
+    // A replayed request already has its body
+    if (
+      ['POST', 'PUT', 'PATCH'].includes(requestInit.method) &&
+      !has(requestInit, 'body')
+    ) {
+      // Fields being checked asynchronously would be removed as invalid
+      await this._waitForPendingChecks()
+
+      // Extract validated data only
+      // Partial update sends only the fields changed since the last snapshot
+      const data = this.beforeSerialize({
+        ...serializeOptions,
+        removeInvalid: true,
+        removeUnchanged: requestInit.method === 'PATCH',
+        request: true
+      })
+      const body = this.constructor.format.serialize(data, this.constructor, { method: requestInit.method })
+
+      if (this.constructor._containsBinary(body)) {
+        requestInit.body = this._buildFormData(body)
+        // The boundary of the multipart body is set by the transport
+        delete requestInit.headers['Content-Type']
+        requestInit.onUploadProgress = ({ loaded, total }) => {
+          this.$state.upload.loaded = loaded
+          this.$state.upload.total = total
+          this.$state.upload.progress = total ? loaded / total : 0
+        }
+        this.$state.upload.loaded = 0
+        this.$state.upload.total = 0
+        this.$state.upload.progress = 0
+      } else {
+        requestInit.body = JSON.stringify(body)
+      }
+    }
+
+    return requestInit
+  }
+
+  /**
+   * Check if serialized data contain a binary (File, Blob)
+   * @param {any} value
+   * @returns {boolean}
+   */
+  static _containsBinary (value) {
+    if (value instanceof Blob) {
+      return true
+    } else if (isArray(value)) {
+      return value.some(item => this._containsBinary(item))
+    } else if (isObject(value)) {
+      return Object.values(value).some(item => this._containsBinary(item))
+    } else {
+      return false
+    }
+  }
+
+  /**
+   * Build a multipart body from serialized data
+   * Nested fields are flattened according to the multipart notation of the model
+   * Note: empty arrays & objects are not sent, null is sent as an empty string
+   * @param {object} data
+   * @returns {FormData}
+   */
+  _buildFormData (data) {
+    const { notation, arrayIndexes } = this.constructor.multipart
+    const formData = new FormData()
+
+    const append = (value, key) => {
+      if (value instanceof Blob) {
+        formData.append(key, value)
+      } else if (isArray(value)) {
+        value.forEach((item, index) => append(item, `${key}[${arrayIndexes ? index : ''}]`))
+      } else if (isObject(value)) {
+        for (const [fieldname, item] of Object.entries(value)) {
+          append(item, notation === 'dots' ? `${key}.${fieldname}` : `${key}[${fieldname}]`)
+        }
+      } else if (isDate(value)) {
+        formData.append(key, value.toISOString())
+      } else if (value !== undefined) {
+        formData.append(key, value === null ? '' : String(value))
+      }
+    }
+
+    for (const [fieldname, value] of Object.entries(data)) {
+      append(value, fieldname)
+    }
+
+    return formData
+  }
+
+  /**
+   * Call the fetch API and retry on network errors or specific status codes
+   * @param {string} requestUrl
+   * @param {RequestInit} requestInit
+   * @param {object} retry
+   * @returns {Promise<Response>}
+   */
+  async _fetchWithRetry (requestUrl, requestInit, retry) {
+    for (let attempt = 1; ; attempt++) {
+      this.$state.attempt = attempt
+
+      const canRetry = attempt <= retry.attempts
+      let response = null
+
+      try {
+        // https://developer.mozilla.org/fr/docs/Web/API/Fetch_API
+        response = await this.constructor.adapter.fetch(requestUrl, requestInit)
+      } catch (error) {
+        // Network errors are raised as TypeError
+        if (!(canRetry && error instanceof TypeError && retry.retryOn.includes('network'))) {
+          throw error
         }
       }
+
+      if (
+        response !== null &&
+        !(canRetry && retry.retryOn.includes(response.status))
+      ) {
+        return response
+      }
+
+      // Wait before the next attempt, unless the request is aborted
+      await new Promise((resolve, reject) => {
+        const { signal } = requestInit
+
+        if (signal.aborted) {
+          reject(signal.reason)
+          return
+        }
+
+        const onAbort = () => {
+          clearTimeout(retryTimeout)
+          reject(signal.reason)
+        }
+        // The listener is removed after the wait to not pile up across attempts
+        const retryTimeout = setTimeout(() => {
+          signal.removeEventListener('abort', onAbort)
+          resolve()
+        }, this.constructor._getRetryDelay(retry, attempt, response))
+
+        signal.addEventListener('abort', onAbort, { once: true })
+      })
     }
   }
 
   /**
-   * Build the request init to pass to the fetch method
-   * @param {object} options
-   * @param {string} options.method
-   * @param {object} options.signal
-   * @returns {RequestInit}
+   * Pass the request through the middlewares
+   * `onRequest` hooks are called in order and can edit the url and the request init,
+   * or short-circuit the network by setting `context.response`
+   * `onResponse` hooks are called in reverse order and can replace the response
+   * @param {object} context
+   * @param {Model} context.instance
+   * @param {object} context.options - fetch options
+   * @param {string} context.url
+   * @param {RequestInit} context.init
+   * @param {object} retry
+   * @returns {Promise<Response>}
    */
-  async _buildRequestInit (options = {}) {
-    const requestInit = {
-      mode: 'cors',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      ...options
+  async _fetchThroughMiddlewares (context, retry) {
+    const middlewares = this.constructor.middlewares
+    context.response = null
+
+    let index = 0
+
+    while (index < middlewares.length && context.response === null) {
+      await middlewares[index].onRequest?.(context)
+      index++
+    }
+
+    if (context.response === null) {
+      context.response = await this._fetchWithRetry(context.url, context.init, retry)
+    }
+
+    // Only the middlewares which handled the request handle the response
+    for (const middleware of middlewares.slice(0, index).reverse()) {
+      await middleware.onResponse?.(context)
     }
 
-    // Set Authorization header for private api
-    if (this.constructor.authentication) {
-      const token = await this.constructor.authentication()
+    return context.response
+  }
 
-      if (!token) {
-        throw new RestinfrontError(`fetch: \`authentication\` returned an invalid token (${token})`)
+  /**
+   * Authenticate the request then send it
+   * On 401, the authentication is refreshed once and the request replayed
+   * @param {object} context - see _fetchThroughMiddlewares
+   * @param {object} retry
+   * @returns {Promise<Response>}
+   */
+  async _fetchWithAuthentication (context, retry) {
+    const send = async () => {
+      // Each attempt starts from the unauthenticated request
+      const requestContext = {
+        ...context,
+        init: {
+          ...context.init,
+          headers: { ...context.init.headers }
+        }
       }
 
-      requestInit.headers['Authorization'] = `Bearer ${token}`
+      await this.constructor._authenticate(requestContext)
+
+      return this._fetchThroughMiddlewares(requestContext, retry)
     }
 
-    if (['POST', 'PUT', 'PATCH'].includes(requestInit.method)) {
-      // Extract validated data only
-      requestInit.body = JSON.stringify(this.beforeSerialize({ removeInvalid: true }))
+    const response = await send()
+
+    if (
+      response.status === 401 &&
+      this.constructor.authentication?.refresh
+    ) {
+      await this.constructor._refreshAuthentication()
+
+      return send()
     }
 
-    return requestInit
+    return response
+  }
+
+  /**
+   * Cancel the in-flight requests of the instance
+   * @returns {void}
+   */
+  abort () {
+    for (const abortController of Object.values(this.$fetch.controllers)) {
+      abortController.abort(new RestinfrontAbortError('fetch: the request has been aborted'))
+    }
+  }
+
+  /**
+   * Check if a failed request can be queued until the network is back
+   * Note: multipart bodies can not be persisted
+   * @param {object} options - fetch options
+   * @param {RequestInit} requestInit
+   * @returns {boolean}
+   */
+  _canQueueOffline (options, requestInit) {
+    return (
+      Boolean(this.constructor.offline) &&
+      !options.replay &&
+      // Bulk responses can only be merged into the items of the current session
+      !options.bulkItems &&
+      ['POST', 'PUT', 'PATCH', 'DELETE'].includes(options.method) &&
+      !(requestInit.body instanceof FormData)
+    )
+  }
+
+  /**
+   * Apply the local side effects of a request before its response
+   * Updates are already applied locally, they are reverted to the last server state
+   * @param {string} method
+   * @returns {function} rollback
+   */
+  _applyOptimisticChange (method) {
+    const parents = [...(this[PARENTS_KEY] ?? [])]
+
+    if (method === 'DELETE') {
+      // The item is removed from its collections, at the same position on rollback
+      const positions = parents.map(collection => [collection, collection.items().indexOf(this)])
+
+      for (const collection of parents) {
+        collection.remove(item => item === this)
+      }
+
+      return () => {
+        for (const [collection, index] of positions) {
+          collection.items().splice(index, 0, this)
+          collection._attachItem(this)
+          collection.$count += 1
+        }
+      }
+    } else if (method === 'POST' && this.$isNew) {
+      // A new item only belongs to the collections it has been added to
+      return () => {
+        for (const collection of parents) {
+          collection.remove(item => item === this)
+        }
+      }
+    } else {
+      return () => this.reset()
+    }
   }
 
   /**
@@ -732,162 +2730,497 @@ export default class Model {
    * @param {GET|POST|PUT|PATCH|DELETE} options.method
    * @param {string} [options.pathname]
    * @param {object} [options.searchParams]
+   * @param {number} [options.timeout] - override the model timeout, retries included
+   * @param {object|false} [options.retry] - override the model retry options, enable retry for every method
+   * @param {false} [options.cache] - bypass the cache
+   * @param {string} [options.url] - full url of the request, replace the url built from the model
+   * @param {boolean} [options.optimistic] - apply the change immediately, revert it if the request fails
+   * @param {string} [options.body] - body of a replayed request, replace the body built from the instance
+   * @param {boolean} [options.replay] - the request comes from the offline queue
+   * @param {Array<Model>} [options.bulkItems] - items saved by a bulk request of the collection
+   * @param {object} [options.serialize] - serialization modes of the associations (eg: `{ plans: 'ids' }`)
+   * @param {object} [options.owner] - `{ parent, fieldname }` of a single association retrieved by .load()
    * @returns {Promise<Model>}
    */
   async fetch (options) {
-    if (!this.constructor.endpoint) {
+    // An association is retrieved from the route of its parent
+    const owner = options.owner ?? this[OWNER_KEY]
+    const endpoint = options.method === 'GET' && !options.pathname && owner
+      ? owner.parent._getAssociationRoute(owner.fieldname)
+      : this.constructor.endpoint
+
+    if (!endpoint) {
       throw new RestinfrontError(`fetch: \`endpoint\` option is required on model \`${this.constructor.name}\` to perform a request`)
     }
 
+    // GET and DELETE have their own states, other methods save the item
+    const stateKey = ['GET', 'DELETE'].includes(options.method)
+      ? options.method.toLowerCase()
+      : 'save'
+
+    // Last request wins: a new GET cancels the previous one
+    if (options.method === 'GET') {
+      this.$fetch.controllers.get?.abort(new RestinfrontAbortError('fetch: the request has been replaced by a new one'))
+    }
+
+    const abortController = new AbortController()
+    this.$fetch.controllers[stateKey] = abortController
+
     // Reset fetch memoization
     this.$fetch.options = options
+    if (options.method === 'GET') {
+      this.$fetch.getOptions = options
+    }
     this.$fetch.response = null
 
     // Reset fetch states
     this.$state.inprogress = true
     this.$state.failure = false
     this.$state.success = false
-    if (options.method === 'GET') {
-      this.$state.get.inprogress = true
-      this.$state.get.failure = false
-      this.$state.get.success = false
-    } else {
-      this.$state.save.inprogress = true
-      this.$state.save.failure = false
-      this.$state.save.success = false
+    this.$state.aborted = false
+    this.$state[stateKey].inprogress = true
+    this.$state[stateKey].failure = false
+    this.$state[stateKey].success = false
+
+    // A new attempt to save the data invalidates previous server errors
+    if (options.method !== 'GET') {
+      this._clearServerErrors()
     }
 
     // Build fetch params
-    const abortController = new AbortController()
-    const requestUrl = `${joinPaths(this.constructor.baseUrl, this.constructor.endpoint, options.pathname)}${stringifySearchParams(options.searchParams)}`
+    const timeout = options.timeout ?? this.constructor.timeout
+    // Only idempotent methods are retried, unless retry is explicitly requested
+    const retry = {
+      ...this.constructor.retry,
+      ...options.retry
+    }
+    if (
+      options.retry === false ||
+      (!has(options, 'retry') && !retry.methods.includes(options.method))
+    ) {
+      retry.attempts = 0
+    }
+    const requestUrl = options.url ?? `${joinPaths(this.constructor.baseUrl, endpoint, options.pathname)}${stringifySearchParams(options.searchParams)}`
     const requestInit = await this._buildRequestInit({
       method: options.method,
-      signal: abortController.signal
+      signal: abortController.signal,
+      ...(has(options, 'body') ? { body: options.body } : {})
+    }, {
+      serialize: options.serialize
     })
     const abortTimeout = setTimeout(() => {
-      abortController.abort()
-    }, 20000)
+      abortController.abort(new RestinfrontAbortError(`fetch: the request timed out after ${timeout}ms`, { isTimeout: true }))
+    }, timeout)
+
+    // Cached data of GET requests
+    const cache = options.method === 'GET' && options.cache !== false
+      ? this.constructor.cache
+      : false
+    const cacheEntry = cache
+      ? this.constructor._getCachedResponse(requestUrl)
+      : undefined
+    const cacheAge = cacheEntry
+      ? Date.now() - cacheEntry.storedAt
+      : Infinity
+    let data = null
+    let headers = null
+    let rollback = null
 
     try {
-      // Proceed to api call
-      // https://developer.mozilla.org/fr/docs/Web/API/Fetch_API
-      this.$fetch.response = await fetch(requestUrl, requestInit)
+      // Optimistic changes are displayed before the response of the server
+      // Note: applied once the request is built, a failure reverts them
+      if (options.optimistic && options.method !== 'GET') {
+        rollback = this._applyOptimisticChange(options.method)
+      }
 
-      clearTimeout(abortTimeout)
+      if (cacheAge < (cache.ttl ?? 0)) {
+        // Fresh data are used without request
+        data = structuredClone(cacheEntry.data)
+        headers = new Headers(cacheEntry.headers)
+      } else {
+        if (cacheEntry) {
+          // Stale data are displayed during the request
+          // Note: an extended collection would receive the items twice
+          if (
+            cacheAge < (cache.ttl ?? 0) + (cache.staleWhileRevalidate ?? 0) &&
+            !options.extend
+          ) {
+            this._mutateData(this._buildFromServerData(structuredClone(cacheEntry.data)))
+          }
+
+          if (cacheEntry.etag) {
+            requestInit.headers['If-None-Match'] = cacheEntry.etag
+          }
+        }
+
+        // Mutations are not sent without network
+        if (
+          this._canQueueOffline(options, requestInit) &&
+          globalThis.navigator?.onLine === false
+        ) {
+          throw new TypeError('fetch: the network is offline')
+        }
+
+        // Proceed to api call
+        const response = await this._fetchWithAuthentication({
+          instance: this,
+          options,
+          url: requestUrl,
+          init: requestInit
+        }, retry)
+
+        // The request has been replaced, states belong to the new one
+        if (this.$fetch.controllers[stateKey] !== abortController) {
+          return
+        }
+
+        this.$fetch.response = response
+        headers = response.headers
+      }
 
+      // Cached data are still valid
+      if (this.$fetch.response?.status === 304 && cacheEntry) {
+        cacheEntry.storedAt = Date.now()
+        data = structuredClone(cacheEntry.data)
+        headers = new Headers(cacheEntry.headers)
       // Server side errors raise an exception
-      if (!this.$fetch.response.ok) {
+      } else if (data === null && !this.$fetch.response.ok) {
+        // Map validation errors of the server onto fields
+        // Note: the response is cloned to keep its body readable
+        const fieldErrors = await this.constructor.parseServerErrors(this.$fetch.response.clone())
+
+        if (options.bulkItems) {
+          this._setBulkServerErrors(options.bulkItems, fieldErrors)
+        } else {
+          this._setServerErrors(fieldErrors)
+        }
+
         throw new RestinfrontError(`fetch: the server responded with an error status code (${this.$fetch.response.status})`)
       }
 
       // Set states to success
       this.$state.immutable.success = true
       this.$state.success = true
-      if (options.method === 'GET') {
-        this.$state.get.success = true
-      } else {
-        this.$state.save.success = true
-      }
+      this.$state[stateKey].success = true
     } catch (error) {
+      // The request has been replaced, states belong to the new one
+      if (this.$fetch.controllers[stateKey] !== abortController) {
+        return
+      }
+
+      // Network errors are raised as TypeError
+      // The mutation is replayed when the network is back, optimistic changes are kept
+      if (
+        error instanceof TypeError &&
+        this._canQueueOffline(options, requestInit)
+      ) {
+        await this.constructor.offline.enqueue(this, {
+          method: options.method,
+          pathname: options.pathname,
+          searchParams: options.searchParams,
+          url: options.url,
+          body: requestInit.body
+        })
+
+        delete this.$fetch.controllers[stateKey]
+        this.$state[stateKey].inprogress = false
+
+        return
+      }
+
       this.constructor.onFetchError({ error, response: this.$fetch.response })
 
-      // Set states to failure
-      this.$state.failure = true
-      if (options.method === 'GET') {
-        this.$state.get.failure = true
+      if (
+        error instanceof RestinfrontAbortError &&
+        !error.isTimeout
+      ) {
+        // Set states to aborted, a cancellation is not a failure
+        this.$state.aborted = true
       } else {
-        this.$state.save.failure = true
+        // Set states to failure
+        this.$state.failure = true
+        this.$state[stateKey].failure = true
+      }
+
+      // The change has not been confirmed by the server
+      if (rollback) {
+        rollback()
+        this.constructor.onRollback({ instance: this, method: options.method, error })
       }
+    } finally {
+      clearTimeout(abortTimeout)
     }
 
     // Process server data if fetch is successful
     if (this.$state.success) {
-      // Get data from server response
-      let data = await this.$fetch.response.json()
-
-      const dataOptions = {
-        isNew: false
+      if (options.method !== 'GET') {
+        // Cached responses of the endpoint are outdated
+        this.constructor.invalidateCache()
       }
 
-      if (
-        has(data, this.constructor.collectionCountKey) &&
-        has(data, this.constructor.collectionDataKey)
-      ) {
-        dataOptions.count = data[this.constructor.collectionCountKey]
-        data = data[this.constructor.collectionDataKey]
-      }
+      if (options.method === 'DELETE') {
+        // The item does not exist anymore, remove it from its collections
+        for (const collection of [...(this[PARENTS_KEY] ?? [])]) {
+          collection.remove(item => item === this)
+        }
+
+        this.constructor.evict(this[this.constructor.primaryKeyFieldname])
+      } else {
+        if (data === null) {
+          // Get data from server response
+          data = this.constructor.format.deserialize(await this.$fetch.response.json(), this.constructor)
+
+          if (cache) {
+            this.constructor._setCachedResponse(requestUrl, {
+              data: structuredClone(data),
+              headers: [...headers],
+              etag: headers.get('ETag')
+            })
+          }
+        }
+
+        if (options.bulkItems) {
+          this._mutateBulkItems(options.bulkItems, data)
+        } else {
+          // The current instance becomes the shared instance of the record if there is none
+          if (!this.isCollection) {
+            this.constructor._registerIdentity(this, this.constructor._readField(data, this.constructor.primaryKeyFieldname))
+          }
+
+          const instance = this._buildFromServerData(data)
+
+          if (instance.isCollection) {
+            this._updatePagination(options, data, headers, instance.length)
+          }
 
-      this._mutateData(new this.constructor(data, dataOptions))
+          // The data have already been merged into the current instance when it is the shared one
+          if (instance !== this) {
+            this._mutateData(instance)
+          }
+        }
+      }
     }
 
     // inprogress done
+    delete this.$fetch.controllers[stateKey]
     this.$state.inprogress = true
-    if (options.method === 'GET') {
-      this.$state.get.inprogress = false
-    } else {
-      this.$state.save.inprogress = false
-    }
+    this.$state[stateKey].inprogress = false
   }
 
   /**
    * Retrieve a single item or a collection
    * @param {string|object} pathname - Pathname is optional for collection. If it's an object, it's more likely searchParams
    * @param {object} searchParams
+   * @param {object} options - fetch options (eg: timeout)
+   * @param {object} [options.query] - plain query of a collection (see Query)
+   * @param {Array<string>|string} [options.include] - associations to embed in the response
    * @returns {void}
    */
-  async get (pathname = '', searchParams = {}) {
-    if (this.isCollection) {
-      // Pathname is optional for collection
-      // If pathname is an object, it's more likely searchParams
-      if (isObject(pathname)) {
-        searchParams = pathname
-        pathname = ''
-      }
+  async get (pathname = '', searchParams = {}, options = {}) {
+    // Pathname is optional for collection
+    // If pathname is an object, it's more likely searchParams
+    if (this.isCollection && isObject(pathname)) {
+      options = searchParams
+      searchParams = pathname
+      pathname = ''
+    }
+
+    // Embedded associations are requested like the include of a query
+    const include = [].concat(options.include ?? [])
+    const query = options.query || include.length > 0
+      ? {
+          where: [],
+          orderBy: [],
+          select: [],
+          ...options.query,
+          include: [...(options.query?.include ?? []), ...include]
+        }
+      : null
 
-      // Params
-      searchParams.limit ??= 20
-      searchParams.offset ??= 0
+    // Explicit search params take precedence over the query
+    if (query) {
+      searchParams = {
+        ...this.constructor.querySerializer(query, this.constructor),
+        ...searchParams
+      }
+    }
 
+    if (this.isCollection) {
       await this.fetch({
+        ...options,
         extend: false,
         method: 'GET',
         pathname,
-        searchParams
+        // Params of the first page
+        searchParams: this.constructor.pagination.first(searchParams)
       })
     } else {
       await this.fetch({
+        ...options,
         method: 'GET',
-        pathname
+        pathname,
+        searchParams
       })
     }
   }
 
   /**
-   * Extend a collection with more items
+   * Retrieve an association from its route (see _getAssociationRoute)
+   * States are mirrored in `$state.load[fieldname]`
+   * @param {string} fieldname
+   * @param {object} options - fetch options (eg: timeout, include)
+   * @param {object} [options.searchParams]
+   * @returns {void}
+   */
+  async load (fieldname, options = {}) {
+    this._denyCollection()
+
+    const fieldconf = this.constructor.schema[fieldname]
+
+    // Embedded sub-documents (SHAPE) have no route
+    if (!fieldconf?.type.model) {
+      throw new RestinfrontError(`load: \`${fieldname}\` is not an association of \`${this.constructor.name}\``)
+    }
+
+    // Empty associations are built to receive the data
+    if (!(this[fieldname] instanceof Model)) {
+      const AssociationModel = fieldconf.type.model
+
+      this[fieldname] = fieldconf.type.association === 'HasMany'
+        ? new AssociationModel([])
+        : new AssociationModel({})
+    }
+
+    this._linkAssociation(fieldname)
+
+    const loadState = this.$state.load[fieldname]
+    loadState.inprogress = true
+    loadState.success = false
+    loadState.failure = false
+
+    const { searchParams = {}, ...fetchOptions } = options
+    const association = this[fieldname]
+
+    await association.get('', searchParams, {
+      ...fetchOptions,
+      owner: { parent: this, fieldname }
+    })
+
+    // A single association is replaced by the shared instance of the record
+    if (
+      !association.isCollection &&
+      this[fieldname] === association
+    ) {
+      this[fieldname] = association.constructor._registerIdentity(association)
+    }
+
+    loadState.inprogress = false
+    loadState.success = association.$state.get.success
+    loadState.failure = association.$state.get.failure
+  }
+
+  /**
+   * Start a chainable query of the collection
+   * eg: users.query().where('role', 'admin').orderBy('createdAt', 'desc').get()
+   * @returns {Query}
+   */
+  query () {
+    this._allowCollection()
+
+    return new Query(this)
+  }
+
+  /**
+   * Throw an error if the collection has not been retrieved yet
+   * @param {string} method
    * @returns {void}
    */
-  async getMore () {
+  _requirePagination (method) {
     this._allowCollection()
 
-    this.$fetch.options.searchParams.offset += this.$fetch.options.searchParams.limit
+    if (this.$pagination === null) {
+      throw new RestinfrontError(`${method}: the collection MUST be retrieved with .get() first`)
+    }
+  }
+
+  /**
+   * Extend a collection with the items of the next page
+   * @param {object} options - fetch options (eg: timeout)
+   * @returns {void}
+   */
+  async getMore (options = {}) {
+    this._requirePagination('getMore')
+
+    if (!this.$pagination.hasNext) {
+      return
+    }
+
+    await this.fetch({
+      ...options,
+      extend: true,
+      method: 'GET',
+      pathname: this.$fetch.getOptions.pathname,
+      ...this.$pagination.next
+    })
+  }
+
+  /**
+   * Extend a collection with the items of the previous page, at the beginning
+   * @param {object} options - fetch options (eg: timeout)
+   * @returns {void}
+   */
+  async getPrevious (options = {}) {
+    this._requirePagination('getPrevious')
+
+    if (!this.$pagination.hasPrevious) {
+      return
+    }
 
     await this.fetch({
+      ...options,
       extend: true,
+      prepend: true,
+      method: 'GET',
+      pathname: this.$fetch.getOptions.pathname,
+      ...this.$pagination.previous
+    })
+  }
+
+  /**
+   * Replace the items of a collection with the items of a page
+   * @param {number} page - starts at 1
+   * @param {object} options - fetch options (eg: timeout)
+   * @returns {void}
+   */
+  async getPage (page, options = {}) {
+    this._requirePagination('getPage')
+
+    const searchParams = this.constructor.pagination.page(page, this.$fetch.getOptions.searchParams ?? {})
+
+    if (searchParams === null) {
+      throw new RestinfrontError('getPage: the pagination strategy does not support page numbers')
+    }
+
+    await this.fetch({
+      ...options,
+      extend: false,
       method: 'GET',
-      pathname: this.$fetch.options.pathname,
-      searchParams: this.$fetch.options.searchParams
+      pathname: this.$fetch.getOptions.pathname,
+      searchParams
     })
   }
 
   /**
    * Create a new item
    * @param {string} pathname
+   * @param {object} options - fetch options (eg: timeout)
    * @returns {void}
    */
-  async post (pathname = '') {
+  async post (pathname = '', options = {}) {
     this._denyCollection()
 
     await this.fetch({
+      ...options,
       method: 'POST',
       pathname
     })
@@ -896,26 +3229,30 @@ export default class Model {
   /**
    * Update an item
    * @param {string} pathname
+   * @param {object} options - fetch options (eg: timeout)
    * @returns {void}
    */
-  async put (pathname = '') {
+  async put (pathname = '', options = {}) {
     this._denyCollection()
 
     await this.fetch({
+      ...options,
       method: 'PUT',
       pathname: joinPaths(this[this.constructor.primaryKeyFieldname], pathname)
     })
   }
 
   /**
-   * Partial update of an item
+   * Partial update of an item, only changed fields are sent
    * @param {string} pathname
+   * @param {object} options - fetch options (eg: timeout)
    * @returns {void}
    */
-  async patch (pathname = '') {
+  async patch (pathname = '', options = {}) {
     this._denyCollection()
 
     await this.fetch({
+      ...options,
       method: 'PATCH',
       pathname: joinPaths(this[this.constructor.primaryKeyFieldname], pathname)
     })
@@ -924,15 +3261,110 @@ export default class Model {
   /**
    * Create or update the item depends of if it comes from db or not
    * @param {string} pathname
+   * @param {object} options - fetch options (eg: timeout)
    * @returns {void}
    */
-  async save (pathname = '') {
+  async save (pathname = '', options = {}) {
     this._denyCollection()
 
     if (this.$isNew) {
-      await this.post(pathname)
+      await this.post(pathname, options)
+    } else {
+      await this.put(pathname, options)
+    }
+  }
+
+  /**
+   * Save the new and changed items of a collection
+   * With a bulk endpoint, items are sent in a single request, otherwise each item is saved
+   * Results are listed in `$state.save.succeeded` & `$state.save.failed`
+   * @param {object} options - fetch options (eg: timeout)
+   * @param {string|false} [options.pathname] - override the bulk pathname of the model
+   * @param {number} [options.concurrency] - override the bulk concurrency of the model
+   * @returns {void}
+   */
+  async saveAll (options = {}) {
+    this._allowCollection()
+
+    const {
+      pathname = this.constructor.bulk.pathname,
+      concurrency = this.constructor.bulk.concurrency,
+      ...fetchOptions
+    } = options
+    const items = this.filter(item => item.$isNew || item.$dirty)
+
+    if (pathname !== false && items.length > 0) {
+      const method = this.constructor.bulk.method
+
+      // Fields being checked asynchronously would be removed as invalid
+      await Promise.all(items.map(item => item._waitForPendingChecks()))
+
+      const data = items.map(item => item._beforeSerializeItem({
+        removeInvalid: true,
+        request: true,
+        serialize: fetchOptions.serialize
+      }))
+
+      await this.fetch({
+        ...fetchOptions,
+        method,
+        pathname,
+        body: JSON.stringify(this.constructor.format.serialize(data, this.constructor, { method })),
+        bulkItems: items
+      })
+
+      // The bulk request succeeds or fails for every item
+      for (const item of items) {
+        item.$state.save.success = this.$state.save.success
+        item.$state.save.failure = !this.$state.save.success
+      }
     } else {
-      await this.put(pathname)
+      this.$state.save.inprogress = true
+      this.$state.save.success = false
+      this.$state.save.failure = false
+
+      // Each worker saves the next remaining item
+      const remainingItems = [...items]
+      const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (remainingItems.length > 0) {
+          await remainingItems.shift().save('', fetchOptions)
+        }
+      })
+
+      await Promise.all(workers)
+
+      this.$state.save.inprogress = false
     }
+
+    this.$state.save.succeeded = items.filter(item => item.$state.save.success)
+    this.$state.save.failed = items.filter(item => !item.$state.save.success)
+    this.$state.save.success = this.$state.save.failed.length === 0
+    this.$state.save.failure = this.$state.save.failed.length > 0
+  }
+
+  /**
+   * Delete an item and remove it from its parent collection
+   * @param {string} pathname
+   * @param {object} options - fetch options (eg: timeout)
+   * @returns {void}
+   */
+  async delete (pathname = '', options = {}) {
+    this._denyCollection()
+
+    await this.fetch({
+      ...options,
+      method: 'DELETE',
+      pathname: joinPaths(this[this.constructor.primaryKeyFieldname], pathname)
+    })
+  }
+
+  /**
+   * Alias of delete
+   * @param {string} pathname
+   * @param {object} options - fetch options (eg: timeout)
+   * @returns {void}
+   */
+  async destroy (pathname = '', options = {}) {
+    await this.delete(pathname, options)
   }
 }
@@ -0,0 +1,37 @@
+/**
+ * Naming strategies
+ * A strategy is a function `(fieldname) => serializedName` converting the name of
+ * a field of the instances to its name in request & response bodies
+ */
+export default class NamingStrategy {
+  /**
+   * Same names in the instances and in the bodies
+   * @returns {function}
+   */
+  static IDENTITY () {
+    return (fieldname) => fieldname
+  }
+
+  /**
+   * snake_case bodies
+   * eg: createdAt => created_at
+   * @returns {function}
+   */
+  static SNAKE_CASE () {
+    return (fieldname) => fieldname
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .replace(/([A-Z])([A-Z][a-z])/g, '$1_$2')
+      .toLowerCase()
+  }
+
+  /**
+   * kebab-case bodies
+   * eg: createdAt => created-at
+   * @returns {function}
+   */
+  static KEBAB_CASE () {
+    const toSnakeCase = NamingStrategy.SNAKE_CASE()
+
+    return (fieldname) => toSnakeCase(fieldname).replaceAll('_', '-')
+  }
+}
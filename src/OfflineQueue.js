@@ -0,0 +1,240 @@
+import MemoryStorage from './MemoryStorage.js'
+import RestinfrontError from './RestinfrontError.js'
+
+
+export default class OfflineQueue {
+  /**
+   * Queue of the mutations made without network, replayed in order when it is back
+   * @param {object} [options]
+   * @param {object} [options.storage] - `getItem(key)` & `setItem(key, value)`, sync or async (eg: localStorage)
+   * @param {string} [options.key] - storage key of the queue
+   * @param {function} [options.onConflict] - called with `{ entry, instance, response }` when the server
+   *   rejects a replayed mutation with a conflict status, returns 'retry' to keep it queued or 'discard'
+   * @param {Array<number>} [options.conflictStatuses]
+   * @param {boolean} [options.autoReplay] - replay the queue on the `online` event of the window
+   * @param {function} [options.onReplayError] - called with `{ error }` when a replay on the `online` event fails
+   */
+  constructor ({
+    storage = new MemoryStorage(),
+    key = 'restinfront:offline',
+    onConflict = () => 'discard',
+    conflictStatuses = [409, 412],
+    autoReplay = true,
+    onReplayError = ({ error }) => console.error(error)
+  } = {}) {
+    this.storage = storage
+    this.key = key
+    this.onConflict = onConflict
+    this.conflictStatuses = conflictStatuses
+    this.onReplayError = onReplayError
+    this._models = new Map()
+    this._instances = new Map()
+    this._lock = Promise.resolve()
+    this._replaying = null
+    this._onOnline = null
+
+    if (autoReplay && typeof window !== 'undefined') {
+      this._onOnline = () => {
+        this.replay().catch(error => this.onReplayError({ error }))
+      }
+      window.addEventListener('online', this._onOnline)
+    }
+  }
+
+  /**
+   * Stop replaying the queue on the `online` event of the window
+   * Note: queued mutations are kept
+   * @returns {void}
+   */
+  destroy () {
+    if (this._onOnline) {
+      window.removeEventListener('online', this._onOnline)
+      this._onOnline = null
+    }
+  }
+
+  /*****************************************************************
+  * Storage
+  *****************************************************************/
+
+  /**
+   * Run storage operations one after the other
+   * @param {function} operation
+   * @returns {Promise<any>}
+   */
+  _exclusive (operation) {
+    const result = this._lock.then(operation)
+
+    this._lock = result.catch(() => null)
+
+    return result
+  }
+
+  /**
+   * @returns {Promise<Array<object>>}
+   */
+  async _read () {
+    return JSON.parse(await this.storage.getItem(this.key) ?? '[]')
+  }
+
+  /**
+   * @param {Array<object>} entries
+   * @returns {Promise<void>}
+   */
+  async _write (entries) {
+    await this.storage.setItem(this.key, JSON.stringify(entries))
+  }
+
+  /**
+   * Queued mutations, in order
+   * @returns {Promise<Array<object>>}
+   */
+  entries () {
+    return this._exclusive(() => this._read())
+  }
+
+  /**
+   * Remove a mutation from the queue
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async _remove (id) {
+    await this._exclusive(async () => {
+      await this._write((await this._read()).filter(entry => entry.id !== id))
+    })
+
+    const instance = this._instances.get(id)
+    this._instances.delete(id)
+
+    // The instance is pending until all its mutations are replayed
+    if (instance && ![...this._instances.values()].includes(instance)) {
+      instance.$state.pending = false
+    }
+  }
+
+  /**
+   * Remove all the mutations
+   * @returns {Promise<void>}
+   */
+  async clear () {
+    await this._exclusive(() => this._write([]))
+
+    for (const instance of this._instances.values()) {
+      instance.$state.pending = false
+    }
+
+    this._instances.clear()
+  }
+
+  /*****************************************************************
+  * Queue
+  *****************************************************************/
+
+  /**
+   * Make a model replayable, mutations are bound to the name of their model
+   * Note: called by Model.init, names of the models must be unique (and kept by minifiers)
+   * @param {Model} Model
+   * @returns {void}
+   */
+  register (Model) {
+    if (!Model.endpoint) {
+      return
+    }
+
+    if (
+      this._models.has(Model.name) &&
+      this._models.get(Model.name) !== Model
+    ) {
+      throw new RestinfrontError(`register: an other model is already registered as \`${Model.name}\``)
+    }
+
+    this._models.set(Model.name, Model)
+  }
+
+  /**
+   * Add a mutation to the queue
+   * @param {Model} instance
+   * @param {object} request
+   * @param {string} request.method
+   * @param {string} [request.pathname]
+   * @param {object} [request.searchParams]
+   * @param {string} [request.url]
+   * @param {string} [request.body]
+   * @returns {Promise<object>} entry
+   */
+  async enqueue (instance, request) {
+    const entry = {
+      ...request,
+      id: crypto.randomUUID(),
+      model: instance.constructor.name,
+      primaryKey: instance[instance.constructor.primaryKeyFieldname],
+      createdAt: Date.now()
+    }
+
+    await this._exclusive(async () => {
+      await this._write([...(await this._read()), entry])
+    })
+
+    this._instances.set(entry.id, instance)
+    instance.$state.pending = true
+
+    return entry
+  }
+
+  /**
+   * Replay the mutations in order, until the network is down again
+   * Note: a single replay runs at a time
+   * @returns {Promise<void>}
+   */
+  replay () {
+    this._replaying ??= this._replayEntries().finally(() => {
+      this._replaying = null
+    })
+
+    return this._replaying
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async _replayEntries () {
+    for (let entries = await this.entries(); entries.length > 0; entries = await this.entries()) {
+      const entry = entries[0]
+      const Model = this._models.get(entry.model)
+
+      if (!Model) {
+        throw new RestinfrontError(`replay: no model is registered as \`${entry.model}\``)
+      }
+
+      // Instances of a previous session are rebuilt from the primary key
+      const instance = this._instances.get(entry.id) ?? new Model({ [Model.primaryKeyFieldname]: entry.primaryKey })
+
+      await instance.fetch({
+        method: entry.method,
+        pathname: entry.pathname,
+        searchParams: entry.searchParams,
+        url: entry.url,
+        body: entry.body,
+        replay: true
+      })
+
+      const response = instance.$fetch.response
+
+      if (instance.$state.success) {
+        await this._remove(entry.id)
+      // The network or the server is still unavailable
+      } else if (response === null || response.status >= 500) {
+        return
+      } else if (this.conflictStatuses.includes(response.status)) {
+        if (await this.onConflict({ entry, instance, response }) === 'retry') {
+          return
+        }
+
+        await this._remove(entry.id)
+      } else {
+        // Rejected by the server, the failure is set on the instance
+        await this._remove(entry.id)
+      }
+    }
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Get a value from an object with a dotted path (eg: `meta.nextCursor`)
+ * @param {any} object
+ * @param {string} path
+ * @returns {any}
+ */
+function getPathValue (object, path) {
+  return path
+    .split('.')
+    .reduce((value, key) => value?.[key], object)
+}
+
+/**
+ * Extract urls from a RFC 5988 Link header indexed by rel
+ * eg: `<https://api.example.com/users?page=2>; rel="next"`
+ * @param {string|null} header
+ * @returns {object}
+ */
+function parseLinkHeader (header) {
+  const links = {}
+
+  for (const link of (header ?? '').split(',')) {
+    const match = link.match(/<([^>]*)>\s*;\s*rel="?([^";]+)"?/)
+
+    if (match) {
+      for (const rel of match[2].trim().split(/\s+/)) {
+        links[rel] = match[1]
+      }
+    }
+  }
+
+  return links
+}
+
+/**
+ * Pagination strategies
+ * A strategy is an object with:
+ * - `first (searchParams)`: search params of the first request
+ * - `page (n, searchParams)`: search params of the page n, null if not supported
+ * - `parse ({ data, headers, searchParams, count, length })`: pagination of the response
+ *   `{ page, total, totalPages, next, previous }` where next & previous are
+ *   `{ searchParams }` or `{ url }` of the adjacent pages, null if there is none
+ */
+export default class Pagination {
+  /**
+   * Paginate with limit & offset search params
+   * @param {object} [options]
+   * @param {number} [options.limit]
+   * @param {string} [options.limitParam]
+   * @param {string} [options.offsetParam]
+   * @returns {object}
+   */
+  static OFFSET ({ limit = 20, limitParam = 'limit', offsetParam = 'offset' } = {}) {
+    return {
+      first: (searchParams) => ({
+        ...searchParams,
+        [limitParam]: searchParams[limitParam] ?? limit,
+        [offsetParam]: searchParams[offsetParam] ?? 0
+      }),
+      page: (n, searchParams) => ({
+        ...searchParams,
+        [offsetParam]: (n - 1) * Number(searchParams[limitParam] ?? limit)
+      }),
+      parse: ({ searchParams, count, length }) => {
+        const currentLimit = Number(searchParams[limitParam] ?? limit)
+        const currentOffset = Number(searchParams[offsetParam] ?? 0)
+        const hasNext = count === null
+          ? length === currentLimit
+          : currentOffset + currentLimit < count
+
+        return {
+          page: Math.floor(currentOffset / currentLimit) + 1,
+          total: count,
+          totalPages: count === null ? null : Math.ceil(count / currentLimit),
+          next: hasNext
+            ? { searchParams: { ...searchParams, [offsetParam]: currentOffset + currentLimit } }
+            : null,
+          previous: currentOffset > 0
+            ? { searchParams: { ...searchParams, [offsetParam]: Math.max(currentOffset - currentLimit, 0) } }
+            : null
+        }
+      }
+    }
+  }
+
+  /**
+   * Paginate with page number & page size search params
+   * @param {object} [options]
+   * @param {number} [options.perPage]
+   * @param {string} [options.pageParam]
+   * @param {string} [options.perPageParam]
+   * @returns {object}
+   */
+  static PAGE ({ perPage = 20, pageParam = 'page', perPageParam = 'perPage' } = {}) {
+    return {
+      first: (searchParams) => ({
+        ...searchParams,
+        [pageParam]: searchParams[pageParam] ?? 1,
+        [perPageParam]: searchParams[perPageParam] ?? perPage
+      }),
+      page: (n, searchParams) => ({
+        ...searchParams,
+        [pageParam]: n
+      }),
+      parse: ({ searchParams, count, length }) => {
+        const currentPage = Number(searchParams[pageParam] ?? 1)
+        const currentPerPage = Number(searchParams[perPageParam] ?? perPage)
+        const totalPages = count === null ? null : Math.ceil(count / currentPerPage)
+        const hasNext = totalPages === null
+          ? length === currentPerPage
+          : currentPage < totalPages
+
+        return {
+          page: currentPage,
+          total: count,
+          totalPages,
+          next: hasNext
+            ? { searchParams: { ...searchParams, [pageParam]: currentPage + 1 } }
+            : null,
+          previous: currentPage > 1
+            ? { searchParams: { ...searchParams, [pageParam]: currentPage - 1 } }
+            : null
+        }
+      }
+    }
+  }
+
+  /**
+   * Paginate with cursors extracted from the response body
+   * @param {object} [options]
+   * @param {number} [options.limit]
+   * @param {string} [options.limitParam]
+   * @param {string} [options.cursorParam]
+   * @param {string} [options.nextCursorKey] - path of the next cursor in the body
+   * @param {string} [options.previousCursorKey] - path of the previous cursor in the body
+   * @returns {object}
+   */
+  static CURSOR ({ limit = 20, limitParam = 'limit', cursorParam = 'cursor', nextCursorKey = 'nextCursor', previousCursorKey = 'previousCursor' } = {}) {
+    return {
+      first: (searchParams) => ({
+        ...searchParams,
+        [limitParam]: searchParams[limitParam] ?? limit
+      }),
+      page: () => null,
+      parse: ({ data, searchParams, count }) => {
+        const nextCursor = getPathValue(data, nextCursorKey)
+        const previousCursor = getPathValue(data, previousCursorKey)
+
+        return {
+          page: null,
+          total: count,
+          totalPages: null,
+          next: nextCursor
+            ? { searchParams: { ...searchParams, [cursorParam]: nextCursor } }
+            : null,
+          previous: previousCursor
+            ? { searchParams: { ...searchParams, [cursorParam]: previousCursor } }
+            : null
+        }
+      }
+    }
+  }
+
+  /**
+   * Paginate with the urls of the RFC 5988 Link header
+   * @returns {object}
+   */
+  static LINK () {
+    return {
+      first: (searchParams) => ({ ...searchParams }),
+      page: () => null,
+      parse: ({ headers, count }) => {
+        const links = parseLinkHeader(headers?.get('Link'))
+        const previousUrl = links.prev ?? links.previous
+
+        return {
+          page: null,
+          total: count,
+          totalPages: null,
+          next: links.next ? { url: links.next } : null,
+          previous: previousUrl ? { url: previousUrl } : null
+        }
+      }
+    }
+  }
+}
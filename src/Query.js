@@ -0,0 +1,136 @@
+import RestinfrontError from './RestinfrontError.js'
+import {
+  isArray
+} from 'bibliotech'
+
+
+// Operators of conditions indexed by their symbol
+const OPERATORS = {
+  '=': 'eq',
+  '!=': 'ne',
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte',
+  'in': 'in'
+}
+
+const DIRECTIONS = ['asc', 'desc']
+
+/**
+ * Chainable query of a collection
+ * The query is converted to search params by the `querySerializer` of the model
+ * eg: users.query().where('role', 'admin').orderBy('createdAt', 'desc').get()
+ */
+export default class Query {
+  /**
+   * @param {Model} collection
+   */
+  constructor (collection) {
+    this.collection = collection
+    this.conditions = []
+    this.sorts = []
+    this.fields = []
+    this.associations = []
+  }
+
+  /**
+   * Filter the items of the collection
+   * The operator is optional for equality: .where('role', 'admin')
+   * @param {string} field
+   * @param {string} operator - =, !=, >, >=, <, <=, in
+   * @param {any} value
+   * @returns {Query}
+   */
+  where (field, operator, value) {
+    if (arguments.length === 2) {
+      value = operator
+      operator = '='
+    }
+
+    if (!Object.hasOwn(OPERATORS, operator)) {
+      throw new RestinfrontError(`where: "${operator}" operator is not supported (${Object.keys(OPERATORS).join(', ')})`)
+    }
+
+    if (operator === 'in' && !isArray(value)) {
+      throw new RestinfrontError('where: "in" operator expects an array of values')
+    }
+
+    this.conditions.push({
+      field,
+      operator: OPERATORS[operator],
+      value
+    })
+
+    return this
+  }
+
+  /**
+   * Sort the items of the collection, calls are cumulative
+   * @param {string} field
+   * @param {string} [direction] - asc, desc
+   * @returns {Query}
+   */
+  orderBy (field, direction = 'asc') {
+    direction = direction.toLowerCase()
+
+    if (!DIRECTIONS.includes(direction)) {
+      throw new RestinfrontError(`orderBy: "${direction}" direction is not supported (${DIRECTIONS.join(', ')})`)
+    }
+
+    this.sorts.push({
+      field,
+      direction
+    })
+
+    return this
+  }
+
+  /**
+   * Restrict the fields of the items
+   * @param {Array<string>|string} fields
+   * @returns {Query}
+   */
+  select (fields) {
+    this.fields.push(...(isArray(fields) ? fields : [fields]))
+
+    return this
+  }
+
+  /**
+   * Embed associations in the items
+   * @param {Array<string>|string} associations
+   * @returns {Query}
+   */
+  include (associations) {
+    this.associations.push(...(isArray(associations) ? associations : [associations]))
+
+    return this
+  }
+
+  /**
+   * Plain representation given to serializers and remembered in `$fetch.options.query`
+   * @returns {object}
+   */
+  toJSON () {
+    return {
+      where: this.conditions.map(condition => ({ ...condition })),
+      orderBy: this.sorts.map(sort => ({ ...sort })),
+      select: [...this.fields],
+      include: [...this.associations]
+    }
+  }
+
+  /**
+   * Retrieve the collection matching the query
+   * @param {object} [searchParams] - extra search params
+   * @param {object} [options] - fetch options (eg: timeout)
+   * @returns {void}
+   */
+  async get (searchParams = {}, options = {}) {
+    await this.collection.get('', searchParams, {
+      ...options,
+      query: this.toJSON()
+    })
+  }
+}
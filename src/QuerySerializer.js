@@ -0,0 +1,156 @@
+import {
+  isArray,
+  isDate,
+  isString
+} from 'bibliotech'
+
+
+/**
+ * Format a value of a condition for a search param
+ * @param {any} value
+ * @returns {any}
+ */
+function formatValue (value) {
+  if (isArray(value)) {
+    return value.map(formatValue).join(',')
+  }
+
+  if (isDate(value)) {
+    return value.toISOString()
+  }
+
+  return value
+}
+
+/**
+ * Format a value of a condition for an OData expression
+ * @param {any} value
+ * @returns {string}
+ */
+function formatODataValue (value) {
+  if (isArray(value)) {
+    return `(${value.map(formatODataValue).join(',')})`
+  }
+
+  if (isDate(value)) {
+    return value.toISOString()
+  }
+
+  if (isString(value)) {
+    return `'${value.replaceAll("'", "''")}'`
+  }
+
+  return String(value)
+}
+
+// OData names of the operators which differ
+const ODATA_OPERATORS = {
+  gte: 'ge',
+  lte: 'le'
+}
+
+/**
+ * Query serializers
+ * A serializer is a function `(query, Model)` returning search params
+ * where query is `{ where, orderBy, select, include }` (see Query)
+ */
+export default class QuerySerializer {
+  /**
+   * Flat search params
+   * eg: ?role=admin&createdAt[gt]=2024-01-01T00:00:00.000Z&sort=-createdAt&fields=id,email&include=profile
+   * @param {object} [options]
+   * @param {string} [options.sortParam]
+   * @param {string} [options.fieldsParam]
+   * @param {string} [options.includeParam]
+   * @returns {function}
+   */
+  static FLAT ({ sortParam = 'sort', fieldsParam = 'fields', includeParam = 'include' } = {}) {
+    return (query) => {
+      const searchParams = {}
+
+      for (const { field, operator, value } of query.where) {
+        searchParams[operator === 'eq' ? field : `${field}[${operator}]`] = formatValue(value)
+      }
+
+      if (query.orderBy.length) {
+        searchParams[sortParam] = query.orderBy
+          .map(({ field, direction }) => `${direction === 'desc' ? '-' : ''}${field}`)
+          .join(',')
+      }
+
+      if (query.select.length) {
+        searchParams[fieldsParam] = query.select.join(',')
+      }
+
+      if (query.include.length) {
+        searchParams[includeParam] = query.include.join(',')
+      }
+
+      return searchParams
+    }
+  }
+
+  /**
+   * JSON:API search params, sparse fieldsets are indexed by the endpoint of the model
+   * eg: ?filter[role]=admin&filter[createdAt][gt]=2024-01-01T00:00:00.000Z&sort=-createdAt&fields[users]=id,email&include=profile
+   * @returns {function}
+   */
+  static JSONAPI () {
+    return (query, Model) => {
+      const searchParams = {}
+
+      for (const { field, operator, value } of query.where) {
+        searchParams[`filter[${field}]${operator === 'eq' ? '' : `[${operator}]`}`] = formatValue(value)
+      }
+
+      if (query.orderBy.length) {
+        searchParams.sort = query.orderBy
+          .map(({ field, direction }) => `${direction === 'desc' ? '-' : ''}${field}`)
+          .join(',')
+      }
+
+      if (query.select.length) {
+        searchParams[`fields[${Model.endpoint}]`] = query.select.join(',')
+      }
+
+      if (query.include.length) {
+        searchParams.include = query.include.join(',')
+      }
+
+      return searchParams
+    }
+  }
+
+  /**
+   * OData system query options
+   * eg: ?$filter=role eq 'admin' and createdAt gt 2024-01-01T00:00:00.000Z&$orderby=createdAt desc&$select=id,email&$expand=profile
+   * @returns {function}
+   */
+  static ODATA () {
+    return (query) => {
+      const searchParams = {}
+
+      if (query.where.length) {
+        searchParams.$filter = query.where
+          .map(({ field, operator, value }) => `${field} ${ODATA_OPERATORS[operator] ?? operator} ${formatODataValue(value)}`)
+          .join(' and ')
+      }
+
+      if (query.orderBy.length) {
+        searchParams.$orderby = query.orderBy
+          .map(({ field, direction }) => `${field} ${direction}`)
+          .join(',')
+      }
+
+      if (query.select.length) {
+        searchParams.$select = query.select.join(',')
+      }
+
+      if (query.include.length) {
+        searchParams.$expand = query.include.join(',')
+      }
+
+      return searchParams
+    }
+  }
+}
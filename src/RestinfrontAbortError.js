@@ -0,0 +1,15 @@
+import RestinfrontError from './RestinfrontError.js'
+
+
+export default class RestinfrontAbortError extends RestinfrontError {
+  /**
+   * Error raised when a request is cancelled or timed out
+   * @param {string} message
+   * @param {object} [options]
+   * @param {boolean} [options.isTimeout]
+   */
+  constructor (message, { isTimeout = false } = {}) {
+    super(message)
+    this.isTimeout = isTimeout
+  }
+}
@@ -0,0 +1,94 @@
+// Statuses of responses without body
+const NULL_BODY_STATUSES = [101, 103, 204, 205, 304]
+
+export default class XhrAdapter {
+  /*****************************************************************
+  * Helpers
+  *****************************************************************/
+
+  /**
+   * Parse the raw headers of a XMLHttpRequest
+   * @param {string} rawHeaders
+   * @returns {Headers}
+   */
+  _parseHeaders (rawHeaders) {
+    const headers = new Headers()
+
+    for (const line of rawHeaders.trim().split(/[\r\n]+/)) {
+      const separatorIndex = line.indexOf(':')
+
+      if (separatorIndex > 0) {
+        headers.append(line.slice(0, separatorIndex).trim(), line.slice(separatorIndex + 1).trim())
+      }
+    }
+
+    return headers
+  }
+
+  /*****************************************************************
+  * Transport
+  *****************************************************************/
+
+  /**
+   * Send a request with XMLHttpRequest, which reports the upload progress
+   * Network errors are raised as TypeError like the fetch API
+   * @param {string} url
+   * @param {RequestInit} init
+   * @param {function} [init.onUploadProgress] - called with `{ loaded, total }`
+   * @returns {Promise<Response>}
+   */
+  fetch (url, init = {}) {
+    return new Promise((resolve, reject) => {
+      const { signal } = init
+
+      if (signal?.aborted) {
+        reject(signal.reason)
+        return
+      }
+
+      const xhr = new XMLHttpRequest()
+
+      xhr.open(init.method ?? 'GET', url)
+      xhr.responseType = 'blob'
+      xhr.withCredentials = init.credentials === 'include'
+
+      for (const [name, value] of new Headers(init.headers)) {
+        xhr.setRequestHeader(name, value)
+      }
+
+      if (init.onUploadProgress) {
+        xhr.upload.onprogress = (event) => {
+          init.onUploadProgress({
+            loaded: event.loaded,
+            total: event.lengthComputable ? event.total : 0
+          })
+        }
+      }
+
+      const abort = () => xhr.abort()
+
+      xhr.onload = () => {
+        signal?.removeEventListener('abort', abort)
+        resolve(new Response(
+          NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.response,
+          {
+            status: xhr.status,
+            statusText: xhr.statusText,
+            headers: this._parseHeaders(xhr.getAllResponseHeaders())
+          }
+        ))
+      }
+      xhr.onerror = () => {
+        signal?.removeEventListener('abort', abort)
+        reject(new TypeError('XhrAdapter: network request failed'))
+      }
+      xhr.onabort = () => {
+        reject(signal?.reason ?? new DOMException('The request was aborted', 'AbortError'))
+      }
+
+      signal?.addEventListener('abort', abort, { once: true })
+
+      xhr.send(init.body ?? null)
+    })
+  }
+}
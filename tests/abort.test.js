@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import { FieldTypes, Model, RestinfrontAbortError } from '../index.js'
+
+
+const pending = []
+const errors = []
+
+class Plan extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      endpoint: 'plans',
+      onFetchError: ({ error }) => errors.push(error),
+      // Responses are sent by the tests
+      adapter: {
+        fetch: (url, init) => new Promise((resolve, reject) => {
+          pending.push({
+            url,
+            signal: init.signal,
+            respond: (data) => resolve(new Response(JSON.stringify(data), { status: 200, headers: { 'Content-Type': 'application/json' } }))
+          })
+          init.signal.addEventListener('abort', () => reject(init.signal.reason))
+        })
+      },
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING }
+      }
+    })
+  }
+}
+
+/**
+ * Wait for the requests to reach the adapter
+ * @returns {Promise<void>}
+ */
+function nextTick () {
+  return new Promise(resolve => setTimeout(resolve))
+}
+
+describe('abort', () => {
+  beforeEach(() => {
+    pending.length = 0
+    errors.length = 0
+  })
+
+  it('fails when the request times out', async () => {
+    const plan = new Plan({})
+
+    await plan.get('1', {}, { timeout: 5 })
+
+    assert.equal(plan.$state.get.failure, true)
+    assert.equal(plan.$state.aborted, false)
+    assert.ok(errors[0] instanceof RestinfrontAbortError)
+    assert.equal(errors[0].isTimeout, true)
+    assert.match(errors[0].message, /timed out after 5ms/)
+  })
+
+  it('is not a failure when the request is aborted', async () => {
+    const plan = new Plan({})
+    const request = plan.get('1')
+    await nextTick()
+
+    plan.abort()
+    await request
+
+    assert.equal(pending[0].signal.aborted, true)
+    assert.equal(plan.$state.aborted, true)
+    assert.equal(plan.$state.failure, false)
+    assert.equal(plan.$state.get.failure, false)
+    assert.equal(plan.$state.get.inprogress, false)
+    assert.equal(errors[0].isTimeout, false)
+  })
+
+  it('cancels the previous GET of the instance', async () => {
+    const plan = new Plan({})
+    const first = plan.get('1')
+    await nextTick()
+    const second = plan.get('2')
+    await nextTick()
+
+    assert.equal(pending[0].signal.aborted, true)
+    assert.match(pending[0].signal.reason.message, /replaced by a new one/)
+
+    pending[1].respond({ id: '2', name: 'Premium' })
+    await Promise.all([first, second])
+
+    assert.equal(plan.name, 'Premium')
+    assert.equal(plan.$state.get.success, true)
+    assert.equal(plan.$state.aborted, false)
+    assert.deepEqual(errors, [])
+  })
+
+  it('ignores the late response of a replaced GET', async () => {
+    const plan = new Plan({})
+    const first = plan.get('1')
+    await nextTick()
+    const second = plan.get('2')
+    await nextTick()
+
+    pending[1].respond({ id: '2', name: 'Premium' })
+    await second
+    // A transport ignoring the signal still answers
+    pending[0].respond({ id: '1', name: 'Basic' })
+    await first
+
+    assert.equal(plan.name, 'Premium')
+  })
+
+  it('does not cancel the other requests of the instance', async () => {
+    const plan = new Plan({ id: '1', name: 'Basic' }, { isNew: false })
+    plan.valid(['name'])
+    const save = plan.put()
+    await nextTick()
+    const get = plan.get('1')
+    await nextTick()
+
+    assert.equal(pending[0].signal.aborted, false)
+
+    pending[0].respond({ id: '1', name: 'Basic' })
+    pending[1].respond({ id: '1', name: 'Basic' })
+    await Promise.all([save, get])
+
+    assert.equal(plan.$state.save.success, true)
+    assert.equal(plan.$state.get.success, true)
+  })
+})
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { FieldTypes, Model } from '../index.js'
+
+
+const bodies = []
+
+class User extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      endpoint: 'users',
+      adapter: {
+        fetch: async (url, init) => {
+          bodies.push(JSON.parse(init.body))
+          return new Response(init.body, { status: 201, headers: { 'Content-Type': 'application/json' } })
+        }
+      },
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        email: {
+          type: FieldTypes.EMAIL,
+          isValid: async (value) => value !== 'taken@mail.test' || { rule: 'EMAIL_TAKEN' },
+          debounce: 20
+        }
+      }
+    })
+  }
+}
+
+describe('asynchronous validation', () => {
+  it('waits for the pending checks before saving', async () => {
+    const user = new User({ id: '1', email: 'ada@mail.test' })
+
+    // The check is in progress
+    assert.equal(user.valid(['email']), false)
+    assert.equal(user.$validating.email, true)
+
+    await user.post()
+
+    assert.equal(user.$validating.email, false)
+    assert.deepEqual(bodies.at(-1), { id: '1', email: 'ada@mail.test' })
+  })
+
+  it('does not send fields failing their pending check', async () => {
+    const user = new User({ id: '2', email: 'taken@mail.test' })
+
+    user.valid(['email'])
+    await user.post()
+
+    assert.deepEqual(bodies.at(-1), { id: '2' })
+    assert.deepEqual(user.errors('email').map(error => error.rule), ['EMAIL_TAKEN'])
+  })
+})
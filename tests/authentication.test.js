@@ -0,0 +1,165 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { FieldTypes, Model } from '../index.js'
+
+
+/**
+ * Define a model recording its requests
+ * The server answers 401 to the tokens which are not the current one
+ * @param {any} authentication
+ * @param {object} server - `{ token }` accepted by the server, null accepts any request
+ * @returns {Model}
+ */
+function definePlan (authentication, server = { token: null }) {
+  return class Plan extends Model {
+    static requests = []
+
+    static {
+      this.init({
+        baseUrl: 'http://api.test',
+        endpoint: 'plans',
+        authentication,
+        adapter: {
+          fetch: async (url, init) => {
+            this.requests.push({ url, init })
+
+            const status = server.token === null || init.headers.Authorization === `Bearer ${server.token}`
+              ? 200
+              : 401
+
+            return new Response(JSON.stringify({ id: '1' }), { status, headers: { 'Content-Type': 'application/json' } })
+          }
+        },
+        schema: {
+          id: { type: FieldTypes.STRING, primaryKey: true }
+        }
+      })
+    }
+  }
+}
+
+describe('authentication', () => {
+  it('sends a Bearer token as a default', async () => {
+    const Plan = definePlan(() => 'abc')
+
+    await new Plan({}).get('1')
+
+    assert.equal(Plan.requests[0].init.headers.Authorization, 'Bearer abc')
+  })
+
+  it('sends the token in a custom header', async () => {
+    const Plan = definePlan({ type: 'header', header: 'X-Api-Key', scheme: '', token: () => 'abc' })
+
+    await new Plan({}).get('1')
+
+    assert.equal(Plan.requests[0].init.headers['X-Api-Key'], 'abc')
+    assert.equal(Plan.requests[0].init.headers.Authorization, undefined)
+  })
+
+  it('sends the token in the query string', async () => {
+    const Plan = definePlan({ type: 'query', param: 'api_key', token: () => 'a&b' })
+
+    await new Plan([]).get({ limit: 5 })
+
+    assert.equal(Plan.requests[0].url, 'http://api.test/plans?limit=5&offset=0&api_key=a%26b')
+  })
+
+  it('sends the cookies only', async () => {
+    const Plan = definePlan({ type: 'cookie' })
+
+    await new Plan({}).get('1')
+
+    assert.equal(Plan.requests[0].init.credentials, 'include')
+    assert.equal(Plan.requests[0].init.headers.Authorization, undefined)
+  })
+
+  it('sends basic credentials', async () => {
+    const Plan = definePlan({ type: 'basic', credentials: async () => ({ username: 'zoé', password: 'secret' }) })
+
+    await new Plan({}).get('1')
+
+    assert.equal(Plan.requests[0].init.headers.Authorization, `Basic ${Buffer.from('zoé:secret').toString('base64')}`)
+  })
+
+  it('fails on an empty token', async () => {
+    const Plan = definePlan(() => '')
+    const errors = []
+    Plan.init({ onFetchError: ({ error }) => errors.push(error) })
+
+    const plan = new Plan({})
+    await plan.get('1')
+
+    assert.equal(plan.$state.get.failure, true)
+    assert.match(errors[0].message, /invalid token/)
+    assert.equal(Plan.requests.length, 0)
+  })
+
+  it('refreshes the authentication once and replays the request on 401', async () => {
+    const server = { token: 'new' }
+    let token = 'old'
+    let refreshes = 0
+    const Plan = definePlan({
+      token: () => token,
+      refresh: () => {
+        refreshes += 1
+        token = 'new'
+      }
+    }, server)
+
+    const plan = new Plan({})
+    await plan.get('1')
+
+    assert.equal(refreshes, 1)
+    assert.deepEqual(Plan.requests.map(request => request.init.headers.Authorization), ['Bearer old', 'Bearer new'])
+    assert.equal(plan.$state.get.success, true)
+
+    // The replayed request is not refreshed again
+    server.token = 'newer'
+    await plan.get('1')
+
+    assert.equal(refreshes, 2)
+    assert.equal(Plan.requests.length, 4)
+    assert.equal(plan.$state.get.failure, true)
+  })
+
+  it('queues concurrent requests behind a single refresh', async () => {
+    let token = 'old'
+    let refreshes = 0
+    let endRefresh
+    let startRefresh
+    const refreshStarted = new Promise((resolve) => {
+      startRefresh = resolve
+    })
+    const Plan = definePlan({
+      token: () => token,
+      refresh: () => {
+        refreshes += 1
+
+        return new Promise((resolve) => {
+          endRefresh = () => {
+            token = 'new'
+            resolve()
+          }
+          startRefresh()
+        })
+      }
+    }, { token: 'new' })
+
+    const requests = [new Plan({}).get('1'), new Plan({}).get('2'), new Plan({}).get('3')]
+
+    // Wait for the 401 responses
+    await refreshStarted
+
+    // A request started during the refresh waits for it
+    requests.push(new Plan({}).get('4'))
+    await new Promise(resolve => setTimeout(resolve))
+    endRefresh()
+    await Promise.all(requests)
+
+    const authorizations = Plan.requests.map(request => request.init.headers.Authorization)
+
+    assert.equal(refreshes, 1)
+    assert.deepEqual(authorizations.filter(authorization => authorization === 'Bearer old').length, 3)
+    assert.deepEqual(authorizations.filter(authorization => authorization === 'Bearer new').length, 4)
+  })
+})
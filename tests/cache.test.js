@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it, mock } from 'node:test'
+import { FieldTypes, MemoryAdapter, Model } from '../index.js'
+
+
+class Base extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test'
+    })
+  }
+}
+
+class Plan extends Base {
+  static {
+    this.init({
+      endpoint: 'plans',
+      cache: { ttl: 1000, staleWhileRevalidate: 1000, maxEntries: 2 },
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING }
+      }
+    })
+  }
+}
+
+describe('response cache', () => {
+  let requests
+
+  beforeEach(() => {
+    Model.clearCache()
+    mock.timers.reset()
+    requests = []
+
+    const adapter = new MemoryAdapter()
+      .register(Plan, [{ id: '1', name: 'Basic' }, { id: '2', name: 'Premium' }, { id: '3', name: 'Gold' }])
+    const fetch = adapter.fetch.bind(adapter)
+
+    Base.init({
+      adapter: {
+        fetch: (url, init) => {
+          requests.push(url)
+          return fetch(url, init)
+        }
+      }
+    })
+  })
+
+  it('uses fresh responses without request', async () => {
+    await new Plan({}).get('1')
+    await new Plan({}).get('1')
+
+    assert.equal(requests.length, 1)
+  })
+
+  it('evicts the least recently used responses', async () => {
+    await new Plan({}).get('1')
+    await new Plan({}).get('2')
+    // Most recently used
+    await new Plan({}).get('1')
+    await new Plan({}).get('3')
+    await new Plan({}).get('1')
+    await new Plan({}).get('2')
+
+    assert.deepEqual(requests, [
+      'http://api.test/plans/1',
+      'http://api.test/plans/2',
+      'http://api.test/plans/3',
+      'http://api.test/plans/2'
+    ])
+  })
+
+  it('evicts expired responses', async () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 })
+
+    await new Plan({}).get('1')
+    mock.timers.tick(2500)
+    await new Plan({}).get('1')
+
+    assert.equal(requests.length, 2)
+    mock.timers.reset()
+  })
+
+  it('clears the cache', async () => {
+    await new Plan({}).get('1')
+    Plan.clearCache()
+    await new Plan({}).get('1')
+
+    assert.equal(requests.length, 2)
+  })
+})
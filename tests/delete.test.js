@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import { FieldTypes, MemoryAdapter, Model } from '../index.js'
+
+
+class Plan extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      endpoint: 'plans',
+      schema: {
+        id: { type: FieldTypes.INTEGER, primaryKey: true, defaultValue: null },
+        name: { type: FieldTypes.STRING }
+      }
+    })
+  }
+}
+
+describe('delete', () => {
+  let adapter
+
+  beforeEach(() => {
+    adapter = new MemoryAdapter().register(Plan, [
+      { id: 1, name: 'Basic' },
+      { id: 2, name: 'Premium' }
+    ])
+    Plan.init({ adapter })
+  })
+
+  it('sends a DELETE request and removes the item from its collection', async () => {
+    const plans = new Plan([])
+    await plans.get()
+
+    const plan = plans.items()[0]
+    await plan.delete()
+
+    assert.equal(plan.$state.delete.success, true)
+    assert.equal(plans.length, 1)
+    assert.equal(plans.$count, 1)
+    assert.deepEqual(adapter.rows(Plan).map(row => row.id), [2])
+  })
+
+  it('keeps the item in its collection on failure', async () => {
+    const plans = new Plan([])
+    await plans.get()
+
+    adapter.simulateError(500, { method: 'DELETE' })
+    await plans.items()[0].delete()
+
+    assert.equal(plans.items()[0].$state.delete.failure, true)
+    assert.equal(plans.length, 2)
+  })
+
+  it('has a destroy alias', async () => {
+    const plans = new Plan([])
+    await plans.get()
+
+    await plans.items()[1].destroy()
+
+    assert.deepEqual(plans.items().map(plan => plan.id), [1])
+    assert.deepEqual(adapter.rows(Plan).map(row => row.id), [1])
+  })
+})
@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import { FieldTypes, Model } from '../index.js'
+
+
+const bodies = []
+let record
+
+class Base extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      adapter: {
+        fetch: async (url, init) => {
+          if (init.body) {
+            bodies.push(JSON.parse(init.body))
+            record = { ...record, ...JSON.parse(init.body) }
+          }
+
+          return new Response(JSON.stringify(record), { status: 200, headers: { 'Content-Type': 'application/json' } })
+        }
+      }
+    })
+  }
+}
+
+class Plan extends Base {
+  static {
+    this.init({
+      endpoint: 'plans',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING }
+      }
+    })
+  }
+}
+
+class User extends Base {
+  static {
+    this.init({
+      endpoint: 'users',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING },
+        tags: { type: FieldTypes.ARRAY },
+        plan: { type: FieldTypes.BELONGSTO(Plan) },
+        plans: { type: FieldTypes.HASMANY(Plan) }
+      }
+    })
+  }
+}
+
+describe('dirty tracking', () => {
+  let user
+
+  beforeEach(async () => {
+    bodies.length = 0
+    record = {
+      id: '1',
+      name: 'Ada',
+      tags: ['math'],
+      plan: { id: '1', name: 'Basic' },
+      plans: [{ id: '1', name: 'Basic' }]
+    }
+
+    user = new User({})
+    await user.get('1')
+  })
+
+  it('is clean after a server response', () => {
+    assert.equal(user.$dirty, false)
+    assert.deepEqual(user.changedFields(), [])
+  })
+
+  it('tracks the changed fields', () => {
+    user.name = 'Ada Lovelace'
+    user.tags.push('poetry')
+
+    assert.equal(user.$dirty, true)
+    assert.equal(user.isDirty('name'), true)
+    assert.equal(user.isDirty('plan'), false)
+    assert.deepEqual(user.changedFields(), ['name', 'tags'])
+    assert.throws(() => user.isDirty('unknown'), /`unknown` is not defined/)
+  })
+
+  it('tracks the changes of the associations', () => {
+    user.plan.name = 'Premium'
+    assert.deepEqual(user.changedFields(), ['plan'])
+    user.plan.reset()
+
+    user.plans.add({ id: '2', name: 'Premium' })
+    assert.equal(user.plans.$dirty, true)
+    assert.deepEqual(user.changedFields(), ['plans'])
+  })
+
+  it('resets the fields and the associations to the last snapshot', () => {
+    const plan = user.plan
+    user.name = 'Grace'
+    user.plan = new Plan({ id: '2', name: 'Premium' })
+    plan.name = 'Gold'
+    user.plans.add({ id: '2', name: 'Premium' })
+
+    user.revert()
+
+    assert.equal(user.name, 'Ada')
+    assert.equal(user.plan, plan)
+    assert.equal(plan.name, 'Basic')
+    assert.deepEqual(user.plans.items().map(item => item.id), ['1'])
+    assert.equal(user.plans.$count, 1)
+    assert.equal(user.$dirty, false)
+  })
+
+  it('sends the changed fields and the primary key only on patch', async () => {
+    user.name = 'Ada Lovelace'
+    user.plan.name = 'Premium'
+    user.valid(['name', 'tags', ['plan', ['name']]])
+
+    await user.patch()
+
+    assert.deepEqual(bodies[0], { id: '1', name: 'Ada Lovelace', plan: { id: '1', name: 'Premium' } })
+    assert.equal(user.$dirty, false)
+  })
+
+  it('sends all the valid fields on put', async () => {
+    user.name = 'Ada Lovelace'
+    user.valid(['name', 'tags'])
+
+    await user.put()
+
+    assert.deepEqual(bodies[0], { id: '1', name: 'Ada Lovelace', tags: ['math'] })
+  })
+})
@@ -0,0 +1,20 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { FieldTypes } from '../index.js'
+
+
+describe('FieldTypes.FLOAT', () => {
+  const price = FieldTypes.FLOAT({ precision: 2 })
+
+  it('accepts values within the precision', () => {
+    assert.equal(price.isValid(10), true)
+    assert.equal(price.isValid(0.29), true)
+    assert.equal(price.isValid(19.99), true)
+  })
+
+  it('rejects values beyond the precision', () => {
+    assert.deepEqual(price.isValid(1.005), { rule: 'TOO_PRECISE', precision: 2 })
+    assert.deepEqual(price.isValid(1e-7), { rule: 'TOO_PRECISE', precision: 2 })
+    assert.deepEqual(price.isValid(-2.5e-3), { rule: 'TOO_PRECISE', precision: 2 })
+  })
+})
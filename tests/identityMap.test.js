@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import { FieldTypes, MemoryAdapter, Model } from '../index.js'
+
+
+class Base extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      identityMap: true
+    })
+  }
+}
+
+class Sponsor extends Base {
+  static {
+    this.init({
+      endpoint: 'sponsors',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING }
+      }
+    })
+  }
+}
+
+class User extends Base {
+  static {
+    this.init({
+      endpoint: 'users',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING },
+        sponsor: { type: FieldTypes.BELONGSTO(Sponsor) }
+      }
+    })
+  }
+}
+
+class Order extends Base {
+  static {
+    this.init({
+      endpoint: 'orders',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        customer: { type: FieldTypes.BELONGSTO(User) }
+      }
+    })
+  }
+}
+
+describe('identity map', () => {
+  let requests
+
+  beforeEach(() => {
+    Model.clearIdentityMap()
+    requests = []
+
+    const adapter = new MemoryAdapter()
+      .register(Sponsor, [{ id: '1', name: 'Acme' }])
+      .register(User, [{ id: '1', name: 'Ada', sponsor: '1' }, { id: '2', name: 'Grace', sponsor: '1' }])
+      .register(Order, [{ id: '1', customer: { id: '1', name: 'Ada', sponsor: '1' } }])
+    const fetch = adapter.fetch.bind(adapter)
+
+    Base.init({
+      adapter: {
+        fetch: (url, init) => {
+          requests.push(`${init.method} ${url}`)
+          return fetch(url, init)
+        }
+      }
+    })
+  })
+
+  it('shares a single instance per record', () => {
+    const sponsor = new Sponsor({ id: '1', name: 'Acme' }, { isNew: false })
+
+    assert.equal(new Sponsor({ id: '1', name: 'Acme Inc' }, { isNew: false }), sponsor)
+    assert.equal(sponsor.name, 'Acme Inc')
+
+    Sponsor.evict('1')
+    assert.notEqual(new Sponsor({ id: '1' }, { isNew: false }), sponsor)
+  })
+
+  it('shares single associations with the other records', async () => {
+    const users = new User([])
+    await users.get()
+
+    const order = new Order({}, { isNew: false })
+    await order.get('1')
+
+    assert.equal(order.customer, users.items()[0])
+
+    order.customer.name = 'Ada Lovelace'
+    assert.equal(users.items()[0].name, 'Ada Lovelace')
+  })
+
+  it('retrieves single associations from the route of their owner', async () => {
+    const first = new User({ id: '1', sponsor: { id: '1', name: 'Acme' } }, { isNew: false })
+    const second = new User({ id: '2', sponsor: null }, { isNew: false })
+    const sponsor = first.sponsor
+
+    await first.load('sponsor')
+    await second.load('sponsor')
+
+    assert.deepEqual(requests, [
+      'GET http://api.test/users/1/sponsor',
+      'GET http://api.test/users/2/sponsor'
+    ])
+    assert.equal(first.sponsor, sponsor)
+    assert.equal(second.sponsor, sponsor)
+  })
+
+  it('does not merge the shared instance into itself', async () => {
+    const sponsor = new Sponsor({})
+    const merged = []
+    const mutateData = sponsor._mutateData
+
+    sponsor._mutateData = function (instance) {
+      merged.push(instance)
+      return mutateData.call(this, instance)
+    }
+
+    await sponsor.get('1')
+
+    assert.equal(sponsor.name, 'Acme')
+    assert.equal(merged.includes(sponsor), false)
+    assert.equal(new Sponsor({ id: '1' }, { isNew: false }), sponsor)
+  })
+})
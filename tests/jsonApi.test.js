@@ -0,0 +1,181 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import { DocumentFormat, FieldTypes, Model } from '../index.js'
+
+
+const requests = []
+let document
+
+class Base extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      format: DocumentFormat.JSONAPI(),
+      adapter: {
+        fetch: async (url, init) => {
+          requests.push({ url, init })
+
+          return new Response(JSON.stringify(document), { status: 200, headers: { 'Content-Type': 'application/vnd.api+json' } })
+        }
+      }
+    })
+  }
+}
+
+class Person extends Base {
+  static {
+    this.init({
+      endpoint: 'people',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING }
+      }
+    })
+  }
+}
+
+class Comment extends Base {
+  static {
+    this.init({
+      endpoint: 'comments',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        body: { type: FieldTypes.STRING },
+        author: { type: FieldTypes.BELONGSTO(Person) },
+        replies: { type: FieldTypes.HASMANY(this) }
+      }
+    })
+  }
+}
+
+class Article extends Base {
+  static {
+    this.init({
+      endpoint: 'articles',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        title: { type: FieldTypes.STRING },
+        author: { type: FieldTypes.BELONGSTO(Person) },
+        comments: { type: FieldTypes.HASMANY(Comment) }
+      }
+    })
+  }
+}
+
+describe('JSON:API format', () => {
+  beforeEach(() => {
+    requests.length = 0
+  })
+
+  it('resolves the relationships of a collection against the included resources', async () => {
+    document = {
+      data: [
+        {
+          type: 'articles',
+          id: '1',
+          attributes: { title: 'Rails is Omakase' },
+          relationships: {
+            author: { data: { type: 'people', id: '9' } },
+            comments: { data: [{ type: 'comments', id: '5' }, { type: 'comments', id: '12' }] }
+          }
+        },
+        {
+          type: 'articles',
+          id: '2',
+          attributes: { title: 'JSON:API paints my bikeshed' },
+          relationships: {
+            author: { data: null },
+            comments: { links: { related: 'http://api.test/articles/2/comments' } }
+          }
+        }
+      ],
+      included: [
+        { type: 'people', id: '9', attributes: { name: 'Dan' } },
+        { type: 'comments', id: '5', attributes: { body: 'First!' }, relationships: { author: { data: { type: 'people', id: '9' } } } }
+      ],
+      meta: { total: 10 }
+    }
+
+    const articles = new Article([])
+    await articles.get()
+
+    const [first, second] = articles.items()
+
+    assert.equal(requests[0].init.headers.Accept, 'application/vnd.api+json')
+    assert.equal(articles.$count, 10)
+    assert.equal(first.id, '1')
+    assert.equal(first.title, 'Rails is Omakase')
+    assert.equal(first.author.name, 'Dan')
+    assert.deepEqual(first.comments.items().map(comment => comment.body), ['First!', undefined])
+    // Resources missing from `included` keep their identifier
+    assert.equal(first.comments.items()[1].id, '12')
+    assert.equal(first.comments.items()[0].author.name, 'Dan')
+    assert.equal(second.author, null)
+    // Relationships without data are not retrieved
+    assert.equal(second.comments, undefined)
+  })
+
+  it('stops the circular relationships', async () => {
+    document = {
+      data: { type: 'comments', id: '5', attributes: { body: 'First!' }, relationships: { replies: { data: [{ type: 'comments', id: '6' }] } } },
+      included: [
+        { type: 'comments', id: '6', attributes: { body: 'Second' }, relationships: { replies: { data: [{ type: 'comments', id: '7' }] } } },
+        { type: 'comments', id: '7', attributes: { body: 'Third' }, relationships: { replies: { data: [{ type: 'comments', id: '6' }] } } }
+      ]
+    }
+
+    const comment = new Comment({})
+    await comment.get('5')
+
+    const [reply] = comment.replies.items()
+    const [nestedReply] = reply.replies.items()
+
+    assert.equal(reply.body, 'Second')
+    assert.equal(nestedReply.body, 'Third')
+    // The resource being converted is referenced by its identifier only
+    assert.equal(nestedReply.replies.items()[0].id, '6')
+    assert.equal(nestedReply.replies.items()[0].replies, undefined)
+  })
+
+  it('sends the bodies as resource objects', async () => {
+    document = { data: { type: 'articles', id: '3', attributes: { title: 'New' } } }
+
+    const article = new Article({
+      title: 'New',
+      author: { id: '9', name: 'Dan' },
+      comments: [{ id: '5', body: 'First!' }, { body: 'Unsaved' }]
+    })
+    article.valid(['title', 'author', 'comments'])
+    await article.post()
+
+    assert.equal(requests[0].init.headers['Content-Type'], 'application/vnd.api+json')
+    assert.deepEqual(JSON.parse(requests[0].init.body), {
+      data: {
+        type: 'articles',
+        attributes: { title: 'New' },
+        relationships: {
+          author: { data: { type: 'people', id: '9' } },
+          comments: { data: [{ type: 'comments', id: '5' }] }
+        }
+      }
+    })
+    assert.equal(article.id, '3')
+  })
+
+  it('sends the type and the primary key given by the options', () => {
+    const format = DocumentFormat.JSONAPI({ typeOf: (Model) => Model.name.toLowerCase(), clientIds: true })
+
+    assert.deepEqual(format.serialize({ id: 1, name: 'Dan' }, Person, { method: 'POST' }), {
+      data: { type: 'person', id: '1', attributes: { name: 'Dan' } }
+    })
+    assert.deepEqual(DocumentFormat.JSONAPI().serialize([{ id: 1 }], Person, { method: 'PATCH' }), {
+      data: [{ type: 'people', id: '1', attributes: {} }]
+    })
+  })
+
+  it('keeps the documents without data', () => {
+    const errors = { errors: [{ title: 'Invalid' }] }
+
+    assert.equal(DocumentFormat.JSONAPI().deserialize(errors, Person), errors)
+  })
+})
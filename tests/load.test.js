@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import { FieldTypes, Model } from '../index.js'
+
+
+const urls = []
+let status
+
+class Base extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      adapter: {
+        fetch: async (url) => {
+          urls.push(url)
+          const data = new URL(url).pathname.endsWith('/sponsor')
+            ? { id: '1', name: 'Acme' }
+            : { rows: [{ id: '1', name: 'Basic' }], count: 1 }
+
+          return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } })
+        }
+      }
+    })
+  }
+}
+
+class Plan extends Base {
+  static {
+    this.init({
+      endpoint: 'plans',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING }
+      }
+    })
+  }
+}
+
+class Sponsor extends Base {
+  static {
+    this.init({
+      endpoint: 'sponsors',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING }
+      }
+    })
+  }
+}
+
+class User extends Base {
+  static {
+    this.init({
+      endpoint: 'users',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        slug: { type: FieldTypes.STRING },
+        plans: { type: FieldTypes.HASMANY(Plan) },
+        archivedPlans: { type: FieldTypes.HASMANY(Plan), route: '/accounts/:slug/plans/archived' },
+        activePlans: { type: FieldTypes.HASMANY(Plan), route: (user) => `/owners/${user.id}/plans/active` },
+        sponsor: { type: FieldTypes.BELONGSTO(Sponsor) },
+        address: { type: FieldTypes.SHAPE({ street: { type: FieldTypes.STRING } }) }
+      }
+    })
+  }
+}
+
+describe('load', () => {
+  let user
+
+  beforeEach(() => {
+    urls.length = 0
+    status = 200
+    user = new User({ id: '1', slug: 'ada & co', sponsor: null }, { isNew: false })
+  })
+
+  it('retrieves an association from the default route', async () => {
+    await user.load('plans')
+    await user.plans.get()
+
+    assert.deepEqual(urls.map(url => url.split('?')[0]), [
+      'http://api.test/users/1/plans',
+      'http://api.test/users/1/plans'
+    ])
+    assert.deepEqual(user.plans.items().map(plan => plan.name), ['Basic'])
+  })
+
+  it('retrieves an association from a route with placeholders', async () => {
+    await user.load('archivedPlans')
+
+    assert.equal(urls[0].split('?')[0], 'http://api.test/accounts/ada%20%26%20co/plans/archived')
+  })
+
+  it('retrieves an association from a route built by a function', async () => {
+    await user.load('activePlans', { searchParams: { limit: 5 } })
+
+    assert.equal(urls[0], 'http://api.test/owners/1/plans/active?limit=5&offset=0')
+  })
+
+  it('builds the empty single associations', async () => {
+    await user.load('sponsor')
+
+    assert.equal(urls[0], 'http://api.test/users/1/sponsor')
+    assert.equal(user.sponsor.name, 'Acme')
+  })
+
+  it('mirrors the states of the request', async () => {
+    const request = user.load('plans')
+
+    assert.deepEqual(user.$state.load.plans, { inprogress: true, success: false, failure: false })
+    await request
+    assert.deepEqual(user.$state.load.plans, { inprogress: false, success: true, failure: false })
+
+    status = 500
+    await user.load('plans')
+
+    assert.deepEqual(user.$state.load.plans, { inprogress: false, success: false, failure: true })
+    assert.deepEqual(user.$state.load.sponsor, { inprogress: false, success: false, failure: false })
+  })
+
+  it('requests the embedded associations', async () => {
+    await user.load('plans', { include: ['options', 'prices'] })
+    await new User({}).get('1', {}, { include: 'plans' })
+
+    assert.equal(new URL(urls[0]).searchParams.get('include'), 'options,prices')
+    assert.equal(urls[1], 'http://api.test/users/1?include=plans')
+  })
+
+  it('rejects the fields without route', async () => {
+    await assert.rejects(() => user.load('address'), /`address` is not an association of `User`/)
+    await assert.rejects(() => user.load('unknown'), /`unknown` is not an association of `User`/)
+  })
+})
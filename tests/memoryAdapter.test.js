@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import { FieldTypes, MemoryAdapter, Model } from '../index.js'
+
+
+class Base extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test'
+    })
+  }
+}
+
+class Plan extends Base {
+  static {
+    this.init({
+      endpoint: 'plans',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING }
+      }
+    })
+  }
+}
+
+class User extends Base {
+  static {
+    this.init({
+      endpoint: 'users',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        avatar: { type: FieldTypes.FILE },
+        plans: { type: FieldTypes.HASMANY(Plan) }
+      }
+    })
+  }
+}
+
+describe('MemoryAdapter', () => {
+  let adapter
+
+  beforeEach(() => {
+    adapter = new MemoryAdapter()
+      .register(Plan, [{ id: '1', name: 'Basic' }, { id: '2', name: 'Premium' }, { id: '3', name: 'Gold' }])
+      .register(User, [{ id: '1', avatar: null, plans: ['1', '2'] }])
+
+    Base.init({ adapter })
+  })
+
+  it('parses multipart bodies', async () => {
+    const user = new User({ id: '2' })
+    user.avatar = new Blob(['avatar'], { type: 'image/png' })
+
+    assert.equal(user.valid(['id', 'avatar']), true)
+    await user.post()
+
+    assert.equal(user.$state.save.success, true)
+    assert.deepEqual(adapter.rows(User).at(-1), {
+      id: '2',
+      avatar: `data:image/png;base64,${btoa('avatar')}`
+    })
+  })
+
+  it('parses multipart bodies without array indexes', async () => {
+    const body = new FormData()
+    body.append('plans[][id]', '1')
+    body.append('plans[][name]', 'Basic')
+    body.append('plans[][id]', '2')
+    body.append('tags[]', 'a')
+    body.append('tags[]', 'b')
+
+    assert.deepEqual(await adapter._parseBody(body), {
+      plans: [{ id: '1', name: 'Basic' }, { id: '2' }],
+      tags: ['a', 'b']
+    })
+  })
+
+  it('handles empty bodies', async () => {
+    const response = await adapter.fetch('http://api.test/users/1', { method: 'PATCH', body: '' })
+
+    assert.equal(response.status, 200)
+  })
+
+  it('serves nested association routes', async () => {
+    const response = await adapter.fetch('http://api.test/users/1/plans', { method: 'GET' })
+    const plan = await adapter.fetch('http://api.test/users/1/plans/2', { method: 'GET' })
+    const missing = await adapter.fetch('http://api.test/users/1/plans/3', { method: 'GET' })
+
+    assert.deepEqual(await response.json(), {
+      rows: [{ id: '1', name: 'Basic' }, { id: '2', name: 'Premium' }],
+      count: 2
+    })
+    assert.deepEqual(await plan.json(), { id: '2', name: 'Premium' })
+    assert.equal(missing.status, 404)
+  })
+
+  it('loads associations', async () => {
+    const user = new User({})
+    await user.get('1')
+    await user.load('plans')
+
+    assert.equal(user.$state.load.plans.success, true)
+    assert.deepEqual(user.plans.items().map(plan => plan.name), ['Basic', 'Premium'])
+  })
+
+  it('links and unlinks rows of nested collections', async () => {
+    const created = await adapter.fetch('http://api.test/users/1/plans', {
+      method: 'POST',
+      body: JSON.stringify({ id: '4', name: 'Platinum' })
+    })
+    const unlinked = await adapter.fetch('http://api.test/users/1/plans/1', { method: 'DELETE' })
+
+    assert.equal(created.status, 201)
+    assert.equal(unlinked.status, 204)
+    assert.deepEqual(adapter.rows(User)[0].plans, ['2', '4'])
+    assert.equal(adapter.rows(Plan).length, 4)
+  })
+})
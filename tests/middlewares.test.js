@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { FieldTypes, MemoryAdapter, Model } from '../index.js'
+
+
+describe('middlewares', () => {
+  it('runs onRequest in order and onResponse in reverse order', async () => {
+    const calls = []
+    const timings = []
+
+    class Base extends Model {
+      static {
+        this.init({
+          baseUrl: 'http://api.test',
+          middlewares: [{
+            onRequest: () => calls.push('base:request'),
+            onResponse: () => calls.push('base:response')
+          }]
+        })
+      }
+    }
+
+    class Plan extends Base {
+      static {
+        this.init({
+          endpoint: 'plans',
+          middlewares: [{
+            onRequest: (context) => {
+              calls.push('plan:request')
+              context.init.headers['X-Tenant'] = 'acme'
+              context.startedAt = Date.now()
+            },
+            onResponse: (context) => {
+              calls.push('plan:response')
+              timings.push({ url: context.url, duration: Date.now() - context.startedAt })
+            }
+          }],
+          schema: {
+            id: { type: FieldTypes.INTEGER, primaryKey: true, defaultValue: null }
+          }
+        })
+      }
+    }
+
+    const adapter = new MemoryAdapter().register(Plan, [{ id: 1 }])
+    const fetch = adapter.fetch.bind(adapter)
+    let headers = null
+
+    Plan.init({
+      adapter: {
+        fetch: (url, init) => {
+          headers = init.headers
+          return fetch(url, init)
+        }
+      }
+    })
+
+    await new Plan({}).get('1')
+
+    assert.deepEqual(calls, ['base:request', 'plan:request', 'plan:response', 'base:response'])
+    assert.equal(headers['X-Tenant'], 'acme')
+    assert.equal(timings[0].url, 'http://api.test/plans/1')
+  })
+
+  it('skips the network when a middleware sets the response', async () => {
+    class Plan extends Model {
+      static {
+        this.init({
+          baseUrl: 'http://api.test',
+          endpoint: 'plans',
+          adapter: { fetch: () => assert.fail('the network must not be used') },
+          middlewares: [{
+            onRequest: (context) => {
+              context.response = new Response(JSON.stringify({ id: 1, name: 'Cached' }), { status: 200 })
+            }
+          }],
+          schema: {
+            id: { type: FieldTypes.INTEGER, primaryKey: true, defaultValue: null },
+            name: { type: FieldTypes.STRING }
+          }
+        })
+      }
+    }
+
+    const plan = new Plan({})
+    await plan.get('1')
+
+    assert.equal(plan.name, 'Cached')
+  })
+})
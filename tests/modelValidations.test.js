@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { FieldTypes, Model } from '../index.js'
+
+
+class Event extends Model {
+  static {
+    this.init({
+      endpoint: 'events',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        startDate: { type: FieldTypes.DATE },
+        endDate: { type: FieldTypes.DATE }
+      },
+      validations: {
+        DATE_RANGE: {
+          fields: ['startDate', 'endDate'],
+          flags: ['endDate'],
+          isValid: (event) => event.startDate <= event.endDate
+        }
+      }
+    })
+  }
+}
+
+class Meeting extends Event {
+  static {
+    this.init({
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        startDate: { type: FieldTypes.DATE },
+        endDate: { type: FieldTypes.DATE },
+        room: { type: FieldTypes.STRING },
+        capacity: { type: FieldTypes.INTEGER }
+      },
+      validations: {
+        ROOM_CAPACITY: {
+          fields: ['room', 'capacity'],
+          isValid: (meeting) => meeting.room !== 'small' || meeting.capacity <= 4
+        }
+      }
+    })
+  }
+}
+
+describe('model-level validations', () => {
+  it('merges the rules of the parent model', () => {
+    const meeting = new Meeting({
+      startDate: new Date('2026-01-02'),
+      endDate: new Date('2026-01-01'),
+      room: 'small',
+      capacity: 10
+    })
+
+    assert.deepEqual(Object.keys(Meeting.validations), ['DATE_RANGE', 'ROOM_CAPACITY'])
+    assert.deepEqual(Object.keys(Event.validations), ['DATE_RANGE'])
+    assert.equal(meeting.valid(['startDate', 'endDate', 'room', 'capacity']), false)
+    assert.deepEqual(meeting.errors('endDate').map(error => error.rule), ['DATE_RANGE'])
+    assert.deepEqual(meeting.errors('room').map(error => error.rule), ['ROOM_CAPACITY'])
+  })
+
+  it('checks only the rules declared by the init call', () => {
+    assert.doesNotThrow(() => {
+      class Call extends Event {
+        static {
+          this.init({
+            schema: {
+              id: { type: FieldTypes.STRING, primaryKey: true },
+              phone: { type: FieldTypes.STRING }
+            },
+            validations: {
+              PHONE: { fields: ['phone'], isValid: (call) => call.phone.startsWith('+') }
+            }
+          })
+        }
+      }
+
+      class Chat extends Event {
+        static {
+          this.init({
+            schema: {
+              id: { type: FieldTypes.STRING, primaryKey: true }
+            }
+          })
+        }
+      }
+
+      return [Call, Chat]
+    })
+
+    assert.throws(() => {
+      class Broken extends Event {
+        static {
+          this.init({
+            validations: {
+              UNKNOWN: { fields: ['unknown'], isValid: () => true }
+            }
+          })
+        }
+      }
+
+      return Broken
+    }, /`unknown` of the `UNKNOWN` rule is not defined/)
+  })
+})
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { FieldTypes, Model, NamingStrategy } from '../index.js'
+
+
+const schema = {
+  id: { type: FieldTypes.STRING, primaryKey: true },
+  firstName: { type: FieldTypes.STRING },
+  lastName: { type: FieldTypes.STRING, serializedName: 'surname' },
+  fullName: { computed: (user) => `${user.firstName} ${user.lastName}` },
+  billing: {
+    type: FieldTypes.SHAPE({
+      zipCode: { type: FieldTypes.STRING }
+    })
+  },
+  addresses: {
+    type: FieldTypes.LISTOF(FieldTypes.SHAPE({
+      streetName: { type: FieldTypes.STRING }
+    }))
+  }
+}
+
+class Base extends Model {
+  static {
+    this.init({
+      naming: NamingStrategy.SNAKE_CASE()
+    })
+  }
+}
+
+class User extends Base {
+  static {
+    this.init({ endpoint: 'users', schema })
+  }
+}
+
+describe('naming & computed fields', () => {
+  it('names the fields of sub-documents like their owner', () => {
+    const user = new User({
+      first_name: 'Ada',
+      surname: 'Lovelace',
+      billing: { zip_code: '75001' },
+      addresses: [{ street_name: 'Rue de Rivoli' }]
+    })
+
+    assert.equal(user.billing.zipCode, '75001')
+    assert.equal(user.addresses.items()[0].streetName, 'Rue de Rivoli')
+    assert.deepEqual(user.beforeSerialize().billing, { zip_code: '75001' })
+    assert.deepEqual(user.beforeSerialize().addresses, [{ street_name: 'Rue de Rivoli' }])
+  })
+
+  it('keeps computed fields apart from the schema', () => {
+    const user = new User({ first_name: 'Ada', surname: 'Lovelace' })
+
+    assert.equal(user.fullName, 'Ada Lovelace')
+    assert.equal(typeof User.computed.fullName, 'function')
+    assert.equal(Object.hasOwn(User.schema, 'fullName'), false)
+    assert.equal(Object.hasOwn(schema, 'fullName'), true)
+    assert.equal(Object.hasOwn(user.beforeSerialize(), 'full_name'), false)
+  })
+
+  it('supports repeated init with the same schema', () => {
+    class Admin extends Base {
+      static {
+        this.init({ endpoint: 'admins', schema })
+      }
+    }
+
+    assert.equal(new Admin({ first_name: 'Ada', surname: 'Lovelace' }).fullName, 'Ada Lovelace')
+  })
+})
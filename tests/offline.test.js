@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { FieldTypes, MemoryAdapter, MemoryStorage, Model, OfflineQueue } from '../index.js'
+
+
+const schema = {
+  id: { type: FieldTypes.STRING, primaryKey: true },
+  name: { type: FieldTypes.STRING }
+}
+
+describe('offline queue', () => {
+  before(() => {
+    globalThis.window = new EventTarget()
+  })
+
+  after(() => {
+    delete globalThis.window
+  })
+
+  it('replays the mutations of a model by name', async () => {
+    const offline = new OfflineQueue({ autoReplay: false })
+    const adapter = new MemoryAdapter()
+    let online = false
+
+    class Plan extends Model {
+      static {
+        this.init({
+          baseUrl: 'http://api.test',
+          endpoint: 'plans',
+          offline,
+          schema,
+          adapter: {
+            fetch: (url, init) => {
+              if (!online) {
+                throw new TypeError('Failed to fetch')
+              }
+
+              return adapter.fetch(url, init)
+            }
+          }
+        })
+      }
+    }
+    adapter.register(Plan)
+
+    const plan = new Plan({ id: '1', name: 'Basic' })
+    plan.valid(['name'])
+    await plan.post()
+
+    assert.equal(plan.$state.pending, true)
+    assert.equal((await offline.entries())[0].model, 'Plan')
+
+    online = true
+    await offline.replay()
+
+    assert.equal(plan.$state.pending, false)
+    assert.deepEqual(adapter.rows(Plan), [{ id: '1', name: 'Basic' }])
+  })
+
+  it('rejects models registered with the same name', () => {
+    const offline = new OfflineQueue({ autoReplay: false })
+    const define = () => class Plan extends Model {
+      static {
+        this.init({ endpoint: 'plans', offline, schema })
+      }
+    }
+
+    define()
+    assert.throws(define, /already registered as `Plan`/)
+  })
+
+  it('reports the failures of the replays on the online event', async () => {
+    const storage = new MemoryStorage()
+    const errors = []
+    storage.setItem('restinfront:offline', JSON.stringify([{ id: '1', model: 'Unknown', method: 'DELETE' }]))
+
+    const offline = new OfflineQueue({ storage, onReplayError: ({ error }) => errors.push(error) })
+
+    window.dispatchEvent(new Event('online'))
+    await offline.replay().catch(() => null)
+
+    assert.equal(errors.length, 1)
+    assert.match(errors[0].message, /no model is registered as `Unknown`/)
+
+    offline.destroy()
+    window.dispatchEvent(new Event('online'))
+    await new Promise(resolve => setTimeout(resolve))
+
+    assert.equal(errors.length, 1)
+  })
+})
@@ -0,0 +1,171 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import { FieldTypes, MemoryAdapter, Model } from '../index.js'
+
+
+const rollbacks = []
+
+class Base extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      onRollback: (event) => rollbacks.push(event)
+    })
+  }
+}
+
+class Plan extends Base {
+  static {
+    this.init({
+      endpoint: 'plans',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING }
+      }
+    })
+  }
+}
+
+class User extends Base {
+  static {
+    this.init({
+      endpoint: 'users',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        newsletter: { type: FieldTypes.BOOLEAN },
+        plans: { type: FieldTypes.HASMANY(Plan) }
+      }
+    })
+  }
+}
+
+describe('optimistic updates', () => {
+  let adapter
+  let requests
+  let onRequest
+
+  beforeEach(() => {
+    rollbacks.length = 0
+    requests = []
+    onRequest = () => null
+    adapter = new MemoryAdapter()
+      .register(Plan, [{ id: '1', name: 'Basic' }, { id: '2', name: 'Premium' }])
+      .register(User, [{ id: '1', newsletter: false, plans: [{ id: '1', name: 'Basic' }, { id: '2', name: 'Premium' }] }])
+
+    const fetch = adapter.fetch.bind(adapter)
+
+    Base.init({
+      adapter: {
+        fetch: (url, init) => {
+          requests.push(`${init.method} ${url}`)
+          onRequest()
+          return fetch(url, init)
+        }
+      }
+    })
+  })
+
+  it('reverts an update on failure', async () => {
+    const user = new User({})
+    await user.get('1')
+
+    adapter.simulateError(500, { method: 'PATCH' })
+    user.newsletter = true
+    await user.patch('', { optimistic: true })
+
+    assert.equal(user.newsletter, false)
+    assert.equal(rollbacks.length, 1)
+    assert.equal(rollbacks[0].method, 'PATCH')
+  })
+
+  it('removes an item immediately and restores it on failure', async () => {
+    const plans = new Plan([])
+    await plans.get()
+
+    let lengthDuringRequest = null
+    onRequest = () => {
+      lengthDuringRequest = plans.length
+    }
+
+    adapter.simulateError(500, { method: 'DELETE' })
+
+    assert.equal(await plans.removeOptimistic(plans.items()[0]), null)
+    assert.equal(lengthDuringRequest, 1)
+    assert.deepEqual(plans.items().map(plan => plan.id), ['1', '2'])
+    assert.equal(plans.$count, 2)
+  })
+
+  it('deletes the item of a collection', async () => {
+    const plans = new Plan([])
+    await plans.get()
+
+    const removedItems = await plans.removeOptimistic(plans.items()[0])
+
+    assert.deepEqual(removedItems.map(plan => plan.id), ['1'])
+    assert.deepEqual(adapter.rows(Plan).map(row => row.id), ['2'])
+  })
+
+  it('removes the item of a collection which could not be created', async () => {
+    const plans = new Plan([])
+    await plans.get()
+
+    adapter.simulateError(500, { method: 'POST' })
+    const plan = await plans.addOptimistic({ id: '3', name: 'Gold' })
+
+    assert.equal(plan.$state.save.failure, true)
+    assert.equal(plans.length, 2)
+  })
+
+  it('saves associations through their owner instead of deleting the item', async () => {
+    const user = new User({})
+    await user.get('1')
+    requests.length = 0
+
+    const removedItems = await user.plans.removeOptimistic(user.plans.items()[0])
+
+    assert.deepEqual(removedItems.map(plan => plan.id), ['1'])
+    assert.deepEqual(requests, ['PATCH http://api.test/users/1'])
+    assert.deepEqual(adapter.rows(User)[0].plans.map(plan => plan.id), ['2'])
+    assert.equal(adapter.rows(Plan).length, 2)
+  })
+
+  it('restores the association when the owner could not be saved', async () => {
+    const user = new User({})
+    await user.get('1')
+
+    adapter.simulateError(500, { method: 'PATCH' })
+    const plans = user.plans
+
+    await plans.toggleOptimistic(plans.items()[1])
+
+    assert.deepEqual(plans.items().map(plan => plan.id), ['1', '2'])
+    assert.equal(plans.$count, 2)
+    assert.equal(rollbacks.length, 1)
+  })
+
+  it('does not apply the change when the request can not be built', async () => {
+    class Draft extends Base {
+      static {
+        this.init({
+          endpoint: 'drafts',
+          format: {
+            headers: {},
+            serialize: () => {
+              throw new Error('not serializable')
+            },
+            deserialize: (document) => document
+          },
+          schema: {
+            id: { type: FieldTypes.STRING, primaryKey: true }
+          }
+        })
+      }
+    }
+
+    adapter.register(Draft)
+    const drafts = new Draft([])
+
+    await assert.rejects(drafts.addOptimistic({ id: '1' }), /not serializable/)
+    assert.equal(drafts.length, 0)
+  })
+})
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { FieldTypes, MemoryAdapter, Model, Pagination } from '../index.js'
+
+
+const rows = Array.from({ length: 30 }, (_, index) => ({ id: String(index + 1) }))
+
+/**
+ * Define a model of the 30 rows, served by a page of the request url
+ * @param {object} pagination
+ * @param {function} respond - `(searchParams) => ({ body, headers })`
+ * @returns {Model}
+ */
+function definePlan (pagination, respond) {
+  return class Plan extends Model {
+    static {
+      this.init({
+        baseUrl: 'http://api.test',
+        endpoint: 'plans',
+        pagination,
+        adapter: {
+          fetch: async (url) => {
+            const { body, headers = {} } = respond(new URL(url).searchParams)
+
+            return new Response(JSON.stringify(body), {
+              status: 200,
+              headers: { 'Content-Type': 'application/json', ...headers }
+            })
+          }
+        },
+        schema: {
+          id: { type: FieldTypes.STRING, primaryKey: true }
+        }
+      })
+    }
+  }
+}
+
+describe('pagination', () => {
+  it('extends the collection with offset pages', async () => {
+    class Plan extends Model {
+      static {
+        this.init({
+          baseUrl: 'http://api.test',
+          endpoint: 'plans',
+          schema: {
+            id: { type: FieldTypes.STRING, primaryKey: true }
+          }
+        })
+      }
+    }
+    Plan.init({ adapter: new MemoryAdapter().register(Plan, rows) })
+
+    const plans = new Plan([])
+    await plans.get({ offset: 20 })
+
+    assert.equal(plans.$count, 30)
+    assert.equal(plans.$pagination.hasPrevious, true)
+
+    await plans.getPrevious()
+
+    assert.equal(plans.length, 30)
+    assert.equal(plans.$count, 30)
+    assert.equal(plans.$pagination.total, 30)
+    assert.equal(plans.items()[0].id, '1')
+    assert.equal(plans.$pagination.hasPrevious, false)
+    assert.equal(plans.$pagination.hasNext, false)
+  })
+
+  it('extends the collection with numbered pages', async () => {
+    const Plan = definePlan(Pagination.PAGE({ perPage: 10 }), (searchParams) => {
+      const page = Number(searchParams.get('page'))
+
+      return { body: { rows: rows.slice((page - 1) * 10, page * 10), count: rows.length } }
+    })
+
+    const plans = new Plan([])
+    await plans.get()
+    await plans.getMore()
+    await plans.getMore()
+
+    assert.equal(plans.length, 30)
+    assert.equal(plans.$count, 30)
+    assert.equal(plans.$pagination.page, 3)
+    assert.equal(plans.$pagination.hasNext, false)
+
+    await plans.getPage(2)
+
+    assert.deepEqual(plans.map(plan => plan.id), rows.slice(10, 20).map(row => row.id))
+    assert.equal(plans.$count, 30)
+  })
+
+  it('counts the loaded items with cursors', async () => {
+    const Plan = definePlan(Pagination.CURSOR({ limit: 10 }), (searchParams) => {
+      const start = Number(searchParams.get('cursor') ?? 0)
+
+      return {
+        body: {
+          rows: rows.slice(start, start + 10),
+          nextCursor: start + 10 < rows.length ? String(start + 10) : null
+        }
+      }
+    })
+
+    const plans = new Plan([])
+    await plans.get()
+
+    assert.equal(plans.$count, 10)
+
+    await plans.getMore()
+    await plans.getMore()
+
+    assert.equal(plans.length, 30)
+    assert.equal(plans.$count, 30)
+    assert.equal(plans.$pagination.hasNext, false)
+    await assert.rejects(() => plans.getPage(2), /does not support page numbers/)
+  })
+
+  it('follows the urls of the Link header', async () => {
+    const Plan = definePlan(Pagination.LINK(), (searchParams) => {
+      const page = Number(searchParams.get('page') ?? 1)
+      const links = [
+        page < 3 ? `<http://api.test/plans?page=${page + 1}>; rel="next"` : null,
+        page > 1 ? `<http://api.test/plans?page=${page - 1}>; rel="prev"` : null
+      ].filter(Boolean)
+
+      return {
+        body: { rows: rows.slice((page - 1) * 10, page * 10), count: rows.length },
+        headers: { Link: links.join(', ') }
+      }
+    })
+
+    const plans = new Plan([])
+    await plans.get({ page: 2 })
+    await plans.getMore()
+    await plans.getPrevious()
+
+    assert.deepEqual(plans.map(plan => plan.id), rows.map(row => row.id))
+    assert.equal(plans.$count, 30)
+    assert.equal(plans.$pagination.hasNext, false)
+    assert.equal(plans.$pagination.hasPrevious, false)
+  })
+})
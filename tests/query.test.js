@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import { FieldTypes, Model, QuerySerializer } from '../index.js'
+
+
+const urls = []
+
+class User extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      endpoint: 'users',
+      adapter: {
+        fetch: async (url) => {
+          urls.push(url)
+
+          return new Response(JSON.stringify({ rows: [{ id: '1' }, { id: '2' }], count: 4 }), { status: 200, headers: { 'Content-Type': 'application/json' } })
+        }
+      },
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true }
+      }
+    })
+  }
+}
+
+/**
+ * Search params of a request
+ * @param {string} url
+ * @returns {object}
+ */
+function searchParamsOf (url) {
+  return Object.fromEntries(new URL(url).searchParams)
+}
+
+const query = new User([]).query()
+  .where('role', 'admin')
+  .where('age', '>=', 18)
+  .where('status', 'in', ['active', 'pending'])
+  .where('createdAt', '<', new Date('2024-01-01T00:00:00.000Z'))
+  .orderBy('createdAt', 'DESC')
+  .orderBy('name')
+  .select(['id', 'email'])
+  .include('profile')
+  .toJSON()
+
+describe('query', () => {
+  beforeEach(() => {
+    urls.length = 0
+  })
+
+  it('serializes the query as flat search params', async () => {
+    const users = new User([])
+
+    await users.query()
+      .where('role', 'admin')
+      .where('age', '>=', 18)
+      .where('status', 'in', ['active', 'pending'])
+      .orderBy('createdAt', 'desc')
+      .orderBy('name')
+      .select(['id', 'email'])
+      .include('profile')
+      .get()
+
+    assert.deepEqual(searchParamsOf(urls[0]), {
+      'role': 'admin',
+      'age[gte]': '18',
+      'status[in]': 'active,pending',
+      'sort': '-createdAt,name',
+      'fields': 'id,email',
+      'include': 'profile',
+      'limit': '20',
+      'offset': '0'
+    })
+    assert.deepEqual(users.$fetch.options.query.select, ['id', 'email'])
+  })
+
+  it('gives precedence to the explicit search params', async () => {
+    await new User([]).query().where('role', 'admin').get({ role: 'owner' })
+
+    assert.equal(searchParamsOf(urls[0]).role, 'owner')
+  })
+
+  it('keeps the query for the next pages', async () => {
+    const users = new User([])
+
+    await users.query().where('role', 'admin').orderBy('name').get({ limit: 2 })
+    await users.getMore()
+
+    assert.deepEqual(searchParamsOf(urls[1]), { role: 'admin', sort: 'name', limit: '2', offset: '2' })
+    assert.equal(users.length, 4)
+  })
+
+  it('serializes the query as JSON:API search params', () => {
+    assert.deepEqual(QuerySerializer.JSONAPI()(query, User), {
+      'filter[role]': 'admin',
+      'filter[age][gte]': 18,
+      'filter[status][in]': 'active,pending',
+      'filter[createdAt][lt]': '2024-01-01T00:00:00.000Z',
+      'sort': '-createdAt,name',
+      'fields[users]': 'id,email',
+      'include': 'profile'
+    })
+  })
+
+  it('serializes the query as OData system query options', () => {
+    assert.deepEqual(QuerySerializer.ODATA()(query, User), {
+      $filter: "role eq 'admin' and age ge 18 and status in ('active','pending') and createdAt lt 2024-01-01T00:00:00.000Z",
+      $orderby: 'createdAt desc,name asc',
+      $select: 'id,email',
+      $expand: 'profile'
+    })
+  })
+
+  it('rejects the unsupported operators and directions', () => {
+    const users = new User([])
+
+    assert.throws(() => users.query().where('age', '~', 18), /"~" operator is not supported/)
+    assert.throws(() => users.query().where('role', 'in', 'admin'), /expects an array/)
+    assert.throws(() => users.query().orderBy('name', 'up'), /"up" direction is not supported/)
+    assert.throws(() => new User({}).query(), /called by a collection instance/)
+  })
+})
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { FieldTypes, Model } from '../index.js'
+
+
+/**
+ * Adapter answering with a list of statuses, then 200
+ * @param {Array<number>} statuses
+ * @returns {object}
+ */
+function createAdapter (statuses) {
+  const adapter = {
+    calls: [],
+    abortListeners: new Set(),
+    fetch: async (url, init) => {
+      // Track the abort listeners added after the first attempt
+      if (adapter.calls.length === 0) {
+        const { addEventListener, removeEventListener } = init.signal
+
+        init.signal.addEventListener = function (type, listener, options) {
+          adapter.abortListeners.add(listener)
+          return addEventListener.call(this, type, listener, options)
+        }
+        init.signal.removeEventListener = function (type, listener, options) {
+          adapter.abortListeners.delete(listener)
+          return removeEventListener.call(this, type, listener, options)
+        }
+      }
+
+      adapter.calls.push(init.method)
+
+      const status = statuses.shift() ?? 200
+
+      return new Response(JSON.stringify({ id: 1, name: 'Basic' }), { status })
+    }
+  }
+
+  return adapter
+}
+
+class Plan extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      endpoint: 'plans',
+      retry: { attempts: 3, backoff: 1 },
+      schema: {
+        id: { type: FieldTypes.INTEGER, primaryKey: true, defaultValue: null },
+        name: { type: FieldTypes.STRING }
+      }
+    })
+  }
+}
+
+describe('retry', () => {
+  it('retries idempotent requests on retryable statuses', async () => {
+    const adapter = createAdapter([503, 502])
+    Plan.init({ adapter })
+
+    const plan = new Plan({})
+    await plan.get('1')
+
+    assert.deepEqual(adapter.calls, ['GET', 'GET', 'GET'])
+    assert.equal(plan.$state.attempt, 3)
+    assert.equal(plan.$state.success, true)
+    assert.equal(plan.name, 'Basic')
+  })
+
+  it('does not retry POST requests', async () => {
+    const adapter = createAdapter([503])
+    Plan.init({ adapter })
+
+    const plan = new Plan({ name: 'Basic' })
+    await plan.post()
+
+    assert.deepEqual(adapter.calls, ['POST'])
+    assert.equal(plan.$state.failure, true)
+  })
+
+  it('removes the abort listener of each wait', async () => {
+    const adapter = createAdapter([503, 503, 503])
+    Plan.init({ adapter })
+
+    await new Plan({}).get('1')
+
+    assert.equal(adapter.calls.length, 4)
+    assert.equal(adapter.abortListeners.size, 0)
+  })
+})
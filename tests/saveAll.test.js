@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import { FieldTypes, MemoryAdapter, Model } from '../index.js'
+
+
+class Plan extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      endpoint: 'plans',
+      bulk: { pathname: 'bulk' },
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING }
+      }
+    })
+  }
+}
+
+describe('saveAll', () => {
+  let adapter
+  let requests
+
+  beforeEach(() => {
+    requests = []
+    adapter = new MemoryAdapter()
+      .register(Plan, Array.from({ length: 30 }, (_, index) => ({ id: String(index + 1), name: `Plan ${index + 1}` })))
+
+    Plan.init({
+      adapter: {
+        fetch: (url, init) => {
+          requests.push(`${init.method} ${url}`)
+
+          // Rows of a bulk request are returned in the same order
+          if (url.endsWith('/bulk')) {
+            return new Response(init.body, { status: 200, headers: { 'Content-Type': 'application/json' } })
+          }
+
+          return adapter.fetch(url, init)
+        }
+      }
+    })
+  })
+
+  it('saves the changed items with a bulk request', async () => {
+    const plans = new Plan([])
+    await plans.get()
+
+    plans.items()[0].name = 'Basic'
+    plans.items()[0].valid(['name'])
+    await plans.saveAll()
+
+    assert.equal(requests.at(-1), 'PUT http://api.test/plans/bulk')
+    assert.equal(plans.$state.save.success, true)
+    assert.deepEqual(plans.$state.save.succeeded, [plans.items()[0]])
+  })
+
+  it('keeps the options of the last GET for the pagination', async () => {
+    const plans = new Plan([])
+    await plans.get({ status: 'active' })
+
+    plans.items()[0].name = 'Basic'
+    plans.items()[0].valid(['name'])
+    await plans.saveAll()
+    await plans.getMore()
+    await plans.getPage(1)
+
+    assert.deepEqual(requests, [
+      'GET http://api.test/plans?status=active&limit=20&offset=0',
+      'PUT http://api.test/plans/bulk',
+      'GET http://api.test/plans?status=active&limit=20&offset=20',
+      'GET http://api.test/plans?status=active&limit=20&offset=0'
+    ])
+  })
+})
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import { FieldTypes, Model } from '../index.js'
+
+
+const bodies = []
+
+class Base extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      adapter: {
+        fetch: async (url, init) => {
+          bodies.push(JSON.parse(init.body))
+          return new Response(init.body, { status: 200, headers: { 'Content-Type': 'application/json' } })
+        }
+      }
+    })
+  }
+}
+
+class Plan extends Base {
+  static {
+    this.init({
+      endpoint: 'plans',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING }
+      }
+    })
+  }
+}
+
+class Category extends Base {
+  static {
+    this.init({
+      endpoint: 'categories',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true }
+      }
+    })
+  }
+}
+
+class User extends Base {
+  static {
+    this.init({
+      endpoint: 'users',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        plans: { type: FieldTypes.HASMANY(Plan), serialize: 'ids' },
+        categories: { type: FieldTypes.HASMANY(Category) },
+        addresses: { type: FieldTypes.HASMANY(Plan) }
+      }
+    })
+  }
+}
+
+describe('serialization modes', () => {
+  let user
+
+  beforeEach(() => {
+    bodies.length = 0
+    user = new User({ id: '1', plans: [{ id: '1', name: 'Basic' }] })
+  })
+
+  it('applies the modes of the schema to request bodies', async () => {
+    user.valid(['plans'])
+    await user.put()
+
+    assert.deepEqual(bodies[0], { id: '1', planIds: ['1'] })
+  })
+
+  it('keeps associations nested outside requests', () => {
+    assert.deepEqual(user.beforeSerialize().plans, [{ id: '1', name: 'Basic' }])
+    assert.deepEqual(JSON.parse(user.toJSON()).plans, [{ id: '1', name: 'Basic' }])
+    assert.equal(user.clone().plans.items()[0].name, 'Basic')
+  })
+
+  it('derives foreign keys of ies and s plurals only', () => {
+    assert.equal(User.schema.plans.foreignKey, 'planIds')
+    assert.equal(User.schema.categories.foreignKey, 'categoryIds')
+    assert.equal(User.schema.addresses.foreignKey, undefined)
+    assert.throws(
+      () => user.beforeSerialize({ serialize: { addresses: 'ids' } }),
+      /`foreignKey` is required/
+    )
+  })
+
+  it('supports a new init of the model and its children', () => {
+    assert.doesNotThrow(() => User.init({ timeout: 10000 }))
+    assert.doesNotThrow(() => {
+      class Admin extends User {
+        static {
+          this.init({ endpoint: 'admins' })
+        }
+      }
+
+      return Admin
+    })
+  })
+})
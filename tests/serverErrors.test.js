@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import { FieldTypes, Model } from '../index.js'
+
+
+let response
+
+class Base extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      adapter: {
+        fetch: async () => new Response(JSON.stringify(response.body), {
+          status: response.status,
+          headers: { 'Content-Type': 'application/json' }
+        })
+      }
+    })
+  }
+}
+
+class Plan extends Base {
+  static {
+    this.init({
+      endpoint: 'plans',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        price: { type: FieldTypes.INTEGER }
+      }
+    })
+  }
+}
+
+class User extends Base {
+  static {
+    this.init({
+      endpoint: 'users',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        email: { type: FieldTypes.STRING },
+        plans: { type: FieldTypes.HASMANY(Plan) }
+      }
+    })
+  }
+}
+
+describe('server errors', () => {
+  let user
+
+  beforeEach(() => {
+    user = new User({ email: 'ada@example.com', plans: [{ id: '1', price: 10 }, { id: '2', price: 1000 }] })
+    user.valid(['email', ['plans', ['price']]])
+  })
+
+  it('maps the errors indexed by field onto the fields', async () => {
+    response = { status: 422, body: { errors: { 'email': ['taken', 'blocked'], 'plans.1.price': 'too high' } } }
+
+    await user.post()
+
+    assert.equal(user.$state.save.failure, true)
+    assert.equal(user.error('email'), true)
+    assert.deepEqual(user.errors('email'), [
+      { rule: 'SERVER', message: 'taken' },
+      { rule: 'SERVER', message: 'blocked' }
+    ])
+    assert.equal(user.plans.items()[1].error('price'), true)
+    assert.deepEqual(user.errors('plans.1.price'), [{ rule: 'SERVER', message: 'too high' }])
+  })
+
+  it('maps the JSON:API pointers onto the fields', async () => {
+    response = {
+      status: 400,
+      body: {
+        errors: [
+          { code: 'UNIQUE', detail: 'taken', source: { pointer: '/data/attributes/email' } },
+          { title: 'too high', source: { pointer: '/data/relationships/plans/1/price' } },
+          { title: 'unknown field', source: { pointer: '/data/attributes/unknown' } },
+          { title: 'global error' }
+        ]
+      }
+    }
+
+    await user.post()
+
+    assert.deepEqual(user.errors('email'), [{ rule: 'UNIQUE', message: 'taken' }])
+    assert.deepEqual(user.errors('plans.1.price'), [{ rule: 'SERVER', message: 'too high' }])
+    assert.equal(user.plans.items()[0].error('price'), false)
+  })
+
+  it('displays the errors until the value changes', async () => {
+    response = { status: 422, body: { errors: { email: ['taken'] } } }
+
+    await user.post()
+    user.email = 'grace@example.com'
+
+    assert.equal(user.error('email'), false)
+
+    user.email = 'ada@example.com'
+
+    assert.equal(user.error('email'), true)
+  })
+
+  it('clears the errors on the next request', async () => {
+    response = { status: 422, body: { errors: { email: ['taken'] } } }
+    await user.post()
+
+    response = { status: 201, body: { id: '1', email: 'ada@example.com' } }
+    await user.post()
+
+    assert.equal(user.$state.save.success, true)
+    assert.equal(user.error('email'), false)
+  })
+
+  it('ignores the other error responses', async () => {
+    response = { status: 500, body: { errors: { email: ['taken'] } } }
+
+    await user.post()
+
+    assert.equal(user.$state.save.failure, true)
+    assert.equal(user.error('email'), false)
+  })
+})
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { FieldTypes, Model } from '../index.js'
+
+
+class Invoice extends Model {
+  static {
+    this.init({
+      endpoint: 'invoices',
+      formatErrorMessage: ({ rule }) => rule,
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        billing: {
+          type: FieldTypes.SHAPE({
+            street: { type: FieldTypes.STRING },
+            zipCode: { type: FieldTypes.STRING, allowBlank: true }
+          })
+        },
+        lines: {
+          type: FieldTypes.LISTOF(FieldTypes.SHAPE({
+            label: { type: FieldTypes.STRING },
+            quantity: { type: FieldTypes.INTEGER }
+          }))
+        },
+        tags: { type: FieldTypes.LISTOF(FieldTypes.STRING) },
+        notes: { type: FieldTypes.LISTOF(FieldTypes.STRING), allowBlank: true },
+        attachments: { type: FieldTypes.LISTOF(FieldTypes.SHAPE({ url: { type: FieldTypes.URL } })), allowBlank: true }
+      }
+    })
+  }
+}
+
+describe('SHAPE & LISTOF', () => {
+  it('builds and serializes sub-documents', () => {
+    const invoice = new Invoice({
+      id: '1',
+      billing: { street: 'Rue de Rivoli', zipCode: '' },
+      lines: [{ label: 'Plan', quantity: 2 }],
+      tags: ['paid']
+    }, { isNew: false })
+
+    assert.ok(invoice.billing instanceof Model)
+    assert.equal(invoice.lines.items()[0].quantity, 2)
+    assert.deepEqual(invoice.beforeSerialize({ removeInvalid: true }), { id: '1' })
+    assert.deepEqual(invoice.beforeSerialize().lines, [{ label: 'Plan', quantity: 2 }])
+  })
+
+  it('validates the fields of sub-documents', () => {
+    const invoice = new Invoice({
+      billing: { street: '' },
+      lines: [{ label: 'Plan', quantity: null }],
+      tags: ['paid', '']
+    })
+
+    assert.equal(invoice.valid([['billing', ['street', 'zipCode']], ['lines', ['label', 'quantity']], 'tags']), false)
+    assert.deepEqual(invoice.errors('billing.street').map(error => error.rule), ['REQUIRED'])
+    assert.deepEqual(invoice.errors('lines.0.quantity').map(error => error.rule), ['REQUIRED'])
+    assert.deepEqual(invoice.errors('tags').map(error => error.rule), ['INVALID_LISTOF'])
+  })
+
+  it('treats null lists as blank', () => {
+    const invoice = new Invoice({ id: '1', lines: null, tags: null, notes: null, attachments: null }, { isNew: false })
+
+    assert.equal(invoice.valid(['notes', 'attachments']), true)
+    assert.equal(invoice.valid(['lines', 'tags']), false)
+    assert.deepEqual(invoice.errors('lines').map(error => error.rule), ['REQUIRED'])
+    assert.deepEqual(invoice.errors('tags').map(error => error.rule), ['REQUIRED'])
+  })
+})
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import { FieldTypes, Model } from '../index.js'
+
+
+const requests = []
+
+class Base extends Model {
+  static {
+    this.init({
+      baseUrl: 'http://api.test',
+      adapter: {
+        fetch: async (url, init) => {
+          requests.push(init)
+          init.onUploadProgress?.({ loaded: 3, total: 4 })
+
+          return new Response(JSON.stringify({ id: '1' }), { status: 200, headers: { 'Content-Type': 'application/json' } })
+        }
+      }
+    })
+  }
+}
+
+class Plan extends Base {
+  static {
+    this.init({
+      endpoint: 'plans',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING },
+        document: { type: FieldTypes.FILE }
+      }
+    })
+  }
+}
+
+class User extends Base {
+  static {
+    this.init({
+      endpoint: 'users',
+      schema: {
+        id: { type: FieldTypes.STRING, primaryKey: true },
+        name: { type: FieldTypes.STRING },
+        avatar: { type: FieldTypes.FILE },
+        plans: { type: FieldTypes.HASMANY(Plan) }
+      }
+    })
+  }
+}
+
+/**
+ * Build a user with a binary in a nested item
+ * @returns {User}
+ */
+function buildUser () {
+  const user = new User({
+    id: '1',
+    name: 'Ada',
+    avatar: new Blob(['avatar'], { type: 'image/png' }),
+    plans: [{ id: '1', name: 'Basic', document: new Blob(['terms']) }, { id: '2', name: 'Premium', document: 'https://cdn.test/terms.pdf' }]
+  }, { isNew: false })
+  user.valid(['name', 'avatar', ['plans', ['name', 'document']]])
+
+  return user
+}
+
+describe('upload', () => {
+  beforeEach(() => {
+    requests.length = 0
+    User.init({ multipart: { notation: 'brackets', arrayIndexes: true } })
+  })
+
+  it('sends the binaries as a multipart body with brackets', async () => {
+    const user = buildUser()
+
+    await user.put()
+
+    const body = requests[0].body
+
+    assert.ok(body instanceof FormData)
+    assert.equal(requests[0].headers['Content-Type'], undefined)
+    assert.deepEqual([...body.keys()], [
+      'id',
+      'name',
+      'avatar',
+      'plans[0][id]',
+      'plans[0][name]',
+      'plans[0][document]',
+      'plans[1][id]',
+      'plans[1][name]',
+      'plans[1][document]'
+    ])
+    assert.equal(await body.get('avatar').text(), 'avatar')
+    assert.equal(await body.get('plans[0][document]').text(), 'terms')
+    assert.equal(body.get('plans[1][document]'), 'https://cdn.test/terms.pdf')
+  })
+
+  it('sends the nested keys with dots and without array indexes', async () => {
+    User.init({ multipart: { notation: 'dots', arrayIndexes: false } })
+    const user = buildUser()
+
+    await user.put()
+
+    assert.deepEqual([...requests[0].body.keys()].filter(key => key.startsWith('plans')), [
+      'plans[].id',
+      'plans[].name',
+      'plans[].document',
+      'plans[].id',
+      'plans[].name',
+      'plans[].document'
+    ])
+  })
+
+  it('reports the upload progress', async () => {
+    const user = buildUser()
+
+    await user.put()
+
+    assert.deepEqual(user.$state.upload, { loaded: 3, total: 4, progress: 0.75 })
+  })
+
+  it('sends JSON without binary', async () => {
+    const user = buildUser()
+    user.avatar = 'https://cdn.test/avatar.png'
+    user.plans.items()[0].document = 'https://cdn.test/terms.pdf'
+
+    await user.put()
+
+    assert.equal(requests[0].headers['Content-Type'], 'application/json')
+    assert.equal(JSON.parse(requests[0].body).avatar, 'https://cdn.test/avatar.png')
+    assert.equal(requests[0].onUploadProgress, undefined)
+  })
+
+  it('rejects an unknown notation', () => {
+    assert.throws(() => User.init({ multipart: { notation: 'colons' } }), /must be "brackets" or "dots"/)
+  })
+})
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { FieldTypes, Model } from '../index.js'
+
+
+class Plan extends Model {
+  static {
+    this.init({
+      endpoint: 'plans',
+      schema: {
+        id: { type: FieldTypes.INTEGER, primaryKey: true, defaultValue: null },
+        price: { type: FieldTypes.FLOAT, isValid: (value) => value <= 100 || { rule: 'TOO_HIGH', max: 100 } }
+      }
+    })
+  }
+}
+
+class User extends Model {
+  static {
+    this.init({
+      endpoint: 'users',
+      formatErrorMessage: ({ rule, fieldname }) => `${fieldname}:${rule}`,
+      schema: {
+        id: { type: FieldTypes.INTEGER, primaryKey: true, defaultValue: null },
+        email: { type: FieldTypes.EMAIL },
+        // Truthy non-boolean results are valid
+        nickname: { type: FieldTypes.STRING, isValid: (value) => value && value.trim() },
+        plans: { type: FieldTypes.HASMANY(Plan) }
+      }
+    })
+  }
+}
+
+describe('validation errors', () => {
+  it('reports the rule of the failed validation', () => {
+    const user = new User({ email: 'nope', nickname: 'ada' })
+
+    assert.equal(user.valid(['email', 'nickname']), false)
+    assert.deepEqual(user.errors('email'), [{ rule: 'INVALID_EMAIL', message: 'email:INVALID_EMAIL' }])
+    assert.deepEqual(user.errors('nickname'), [])
+    assert.equal(user.error('email'), true)
+  })
+
+  it('reports blank fields as REQUIRED', () => {
+    const user = new User({})
+
+    user.valid(['email'])
+
+    assert.deepEqual(user.errors('email').map(error => error.rule), ['REQUIRED'])
+  })
+
+  it('treats truthy results as valid', () => {
+    const user = new User({ email: 'ada@example.com', nickname: 'ada' })
+
+    assert.equal(user.valid(['email', 'nickname']), true)
+  })
+
+  it('reaches nested fields with a path', () => {
+    const user = new User({ email: 'ada@example.com', nickname: 'ada', plans: [{ price: 10 }, { price: 200 }] })
+
+    assert.equal(user.valid([['plans', ['price']]]), false)
+    assert.deepEqual(user.errors('plans.1.price'), [{ rule: 'TOO_HIGH', max: 100, message: 'TOO_HIGH' }])
+    assert.equal(user.$errors['plans.1.price'].length, 1)
+    assert.equal(user.$errors['plans.0.price'], undefined)
+  })
+})